@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+// Daily "what moved" report as a self-contained Markdown or HTML file.
+//
+//   polymotion-digest --save-snapshot snapshot.json --out digest.html   (fetch live, keep the data)
+//   polymotion-digest --snapshot snapshot.json --format markdown        (offline, from a saved snapshot)
+//
+// Live runs capture the same processed markets as the Dashboard table plus markets resolved in the period.
+import { parseArgs } from 'node:util';
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { PolymarketAPI } from '../src/services/polymarketApi.js';
+import { captureSnapshot, parseSnapshot } from '../src/services/marketSnapshot.js';
+import { DIGEST_FORMATS, DEFAULT_DIGEST_OPTIONS, renderDigest } from '../src/utils/digest.js';
+import { MOVEMENT_WINDOWS, DEFAULT_WINDOW } from '../src/utils/movementWindows.js';
+import { parseNumber, routeProgressLogs } from './options.js';
+
+const DEFAULT_PERIOD_HOURS = 24;
+const DEFAULT_MAX_EVENTS = 1000;
+
+const USAGE = `Usage: polymotion-digest [options]
+
+Renders a digest of top movers per category, biggest gainers and losers, newly listed and
+resolved markets, from live data or offline from a saved snapshot.
+
+Input:
+      --snapshot <file>        Render from a saved snapshot instead of fetching
+      --save-snapshot <file>   Also save the fetched snapshot, to re-render or archive later
+  -w, --window <key>           Movement window when fetching: ${Object.keys(MOVEMENT_WINDOWS).join(', ')} (default ${DEFAULT_WINDOW})
+      --period <hours>         Hours covered by "newly listed" and "resolved" when fetching (default ${DEFAULT_PERIOD_HOURS})
+      --max-events <n>         Events to scan when fetching, most active first (default ${DEFAULT_MAX_EVENTS})
+      --proxy <url>            Call the APIs through a server/proxy.js instance
+
+Output:
+  -o, --out <file>             Write to a file instead of stdout
+  -f, --format <format>        ${Object.keys(DIGEST_FORMATS).join(' or ')} (default from the --out extension, else markdown)
+  -n, --limit <n>              Rows in the gainers, losers, new and resolved sections (default ${DEFAULT_DIGEST_OPTIONS.limit})
+      --per-category <n>       Movers listed per category (default ${DEFAULT_DIGEST_OPTIONS.perCategory})
+      --categories <n>         Categories listed, most movers first (default ${DEFAULT_DIGEST_OPTIONS.maxCategories})
+  -v, --min-volume <usd>       Minimum volume over the window for movers (default ${DEFAULT_DIGEST_OPTIONS.minimumVolume})
+      --verbose                Log fetch progress to stderr
+  -h, --help                   Show this help`;
+
+// .md -> markdown, .html/.htm -> html
+const getFormatForFile = (file) => {
+  const extension = extname(file || '').slice(1).toLowerCase();
+  if (extension === 'htm') return 'html';
+  return Object.keys(DIGEST_FORMATS).find(format => DIGEST_FORMATS[format].extension === extension) || null;
+};
+
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      snapshot: { type: 'string' },
+      'save-snapshot': { type: 'string' },
+      window: { type: 'string', short: 'w' },
+      period: { type: 'string' },
+      'max-events': { type: 'string', default: String(DEFAULT_MAX_EVENTS) },
+      proxy: { type: 'string' },
+      out: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      limit: { type: 'string', short: 'n', default: String(DEFAULT_DIGEST_OPTIONS.limit) },
+      'per-category': { type: 'string', default: String(DEFAULT_DIGEST_OPTIONS.perCategory) },
+      categories: { type: 'string', default: String(DEFAULT_DIGEST_OPTIONS.maxCategories) },
+      'min-volume': { type: 'string', short: 'v', default: String(DEFAULT_DIGEST_OPTIONS.minimumVolume) },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.snapshot) {
+    const liveOnly = ['save-snapshot', 'window', 'period', 'proxy'].filter(name => values[name] !== undefined);
+    if (liveOnly.length > 0) {
+      throw new Error(`--${liveOnly[0]} only applies when fetching live, not with --snapshot`);
+    }
+  }
+
+  const window = values.window || DEFAULT_WINDOW;
+  if (!MOVEMENT_WINDOWS[window]) {
+    throw new Error(`Unknown window "${window}", expected one of ${Object.keys(MOVEMENT_WINDOWS).join(', ')}`);
+  }
+
+  const format = values.format || getFormatForFile(values.out) || 'markdown';
+  if (!DIGEST_FORMATS[format]) {
+    throw new Error(`Unknown format "${format}", expected ${Object.keys(DIGEST_FORMATS).join(' or ')}`);
+  }
+
+  return {
+    snapshot: values.snapshot,
+    saveSnapshot: values['save-snapshot'],
+    window,
+    periodHours: values.period === undefined ? DEFAULT_PERIOD_HOURS : parseNumber(values.period, 'period', { min: 1 }),
+    maxEvents: parseNumber(values['max-events'], 'max-events', { min: 1, integer: true }),
+    proxy: values.proxy,
+    out: values.out,
+    format,
+    digest: {
+      limit: parseNumber(values.limit, 'limit', { min: 1, integer: true }),
+      perCategory: parseNumber(values['per-category'], 'per-category', { min: 1, integer: true }),
+      maxCategories: parseNumber(values.categories, 'categories', { min: 1, integer: true }),
+      minimumVolume: parseNumber(values['min-volume'], 'min-volume')
+    },
+    verbose: values.verbose,
+    help: values.help
+  };
+}
+
+async function loadSnapshot(options) {
+  if (options.snapshot) {
+    return parseSnapshot(await readFile(options.snapshot, 'utf8'));
+  }
+
+  const api = new PolymarketAPI({ apiProxyUrl: options.proxy });
+  const snapshot = await captureSnapshot(api, {
+    window: options.window,
+    maxEvents: options.maxEvents,
+    periodHours: options.periodHours
+  });
+  if (options.saveSnapshot) {
+    await writeFile(options.saveSnapshot, JSON.stringify(snapshot));
+    console.error(`💾 Saved snapshot of ${snapshot.markets.length} markets to ${options.saveSnapshot}`);
+  }
+  return snapshot;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`🚨 ${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  routeProgressLogs(options.verbose);
+
+  try {
+    const snapshot = await loadSnapshot(options);
+    const output = renderDigest(snapshot, options.format, options.digest);
+    if (options.out) {
+      await writeFile(options.out, output);
+      console.error(`✅ Wrote ${DIGEST_FORMATS[options.format].label} digest to ${options.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error('🚨 Could not build digest:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,15 @@
+// Helpers shared by the command-line tools in this directory.
+
+// Numeric flag value, or an error naming the flag
+export const parseNumber = (value, name, { min = 0, integer = false } = {}) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    throw new Error(`--${name} must be ${integer ? 'an integer' : 'a number'} of at least ${min}, got "${value}"`);
+  }
+  return number;
+};
+
+// The shared modules log fetch progress with console.log; keep stdout for the tool's own output
+export const routeProgressLogs = (verbose) => {
+  console.log = verbose ? console.error : () => {};
+};
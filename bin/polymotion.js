@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+// Headless top movers, ranked exactly as the Dashboard ranks them, for bots and cron jobs.
+//
+//   polymotion --window 6h --category crypto --limit 10
+//   polymotion --json --sort unusual | jq '.[0]'
+//   polymotion --watch --interval 2
+//
+// Progress logging from the shared modules is hidden unless --verbose; warnings go to stderr.
+import { parseArgs } from 'node:util';
+import { PolymarketAPI } from '../src/services/polymarketApi.js';
+import { fetchProcessedMarkets } from '../src/services/marketSnapshot.js';
+import marketAnalyzer, { getMarketUrl, DEFAULT_FILTERS, SORT_MODES, DEFAULT_SORT_MODE } from '../src/utils/marketAnalyzer.js';
+import { MOVEMENT_WINDOWS, DEFAULT_WINDOW, getMovementWindow } from '../src/utils/movementWindows.js';
+import { isInCategory, getCategoryLabel } from '../src/utils/categories.js';
+import { formatPrice, formatNetChange, formatMovement, formatVolume } from '../src/utils/formatters.js';
+import { parseNumber, routeProgressLogs } from './options.js';
+
+const DEFAULT_LIMIT = 20;
+const DEFAULT_WATCH_MINUTES = 5;
+// Same walk as the Dashboard, so rankings match
+const DEFAULT_MAX_EVENTS = 1000;
+
+const USAGE = `Usage: polymotion [options]
+
+Prints the top Polymarket movers as a table or JSON.
+
+Options:
+  -w, --window <key>       Movement window: ${Object.keys(MOVEMENT_WINDOWS).join(', ')} (default ${DEFAULT_WINDOW})
+  -c, --category <name>    Only markets in this category (default all)
+  -s, --sort <mode>        Ranking: ${Object.keys(SORT_MODES).join(', ')} (default ${DEFAULT_SORT_MODE})
+  -v, --min-volume <usd>   Minimum volume over the window (default ${DEFAULT_FILTERS.minimumVolume})
+  -n, --limit <n>          Number of markets to print (default ${DEFAULT_LIMIT})
+      --json               Print JSON instead of a table (one line per refresh with --watch)
+      --watch              Refetch and reprint on an interval until interrupted
+      --interval <min>     Minutes between refreshes with --watch (default ${DEFAULT_WATCH_MINUTES})
+      --max-events <n>     Events to scan, most active first (default ${DEFAULT_MAX_EVENTS})
+      --proxy <url>        Call the APIs through a server/proxy.js instance
+      --verbose            Log fetch progress to stderr
+  -h, --help               Show this help`;
+
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      window: { type: 'string', short: 'w', default: DEFAULT_WINDOW },
+      category: { type: 'string', short: 'c', default: 'all' },
+      sort: { type: 'string', short: 's', default: DEFAULT_SORT_MODE },
+      'min-volume': { type: 'string', short: 'v', default: String(DEFAULT_FILTERS.minimumVolume) },
+      limit: { type: 'string', short: 'n', default: String(DEFAULT_LIMIT) },
+      json: { type: 'boolean', default: false },
+      watch: { type: 'boolean', default: false },
+      interval: { type: 'string', default: String(DEFAULT_WATCH_MINUTES) },
+      'max-events': { type: 'string', default: String(DEFAULT_MAX_EVENTS) },
+      proxy: { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (!MOVEMENT_WINDOWS[values.window]) {
+    throw new Error(`Unknown window "${values.window}", expected one of ${Object.keys(MOVEMENT_WINDOWS).join(', ')}`);
+  }
+  if (!SORT_MODES[values.sort]) {
+    throw new Error(`Unknown sort "${values.sort}", expected one of ${Object.keys(SORT_MODES).join(', ')}`);
+  }
+
+  return {
+    window: values.window,
+    category: values.category.trim().toLowerCase(),
+    sort: values.sort,
+    minimumVolume: parseNumber(values['min-volume'], 'min-volume'),
+    limit: parseNumber(values.limit, 'limit', { min: 1, integer: true }),
+    json: values.json,
+    watch: values.watch,
+    intervalMinutes: parseNumber(values.interval, 'interval', { min: 0.5 }),
+    maxEvents: parseNumber(values['max-events'], 'max-events', { min: 1, integer: true }),
+    proxy: values.proxy,
+    verbose: values.verbose,
+    help: values.help
+  };
+}
+
+// Rank markets the way the Dashboard does with default filters
+async function fetchTopMovers(api, options) {
+  const processed = await fetchProcessedMarkets(api, { window: options.window, maxEvents: options.maxEvents });
+
+  return marketAnalyzer.filterAndSortMarkets(processed, {
+    ...DEFAULT_FILTERS,
+    minimumVolume: options.minimumVolume,
+    sortBy: options.sort,
+    limit: Infinity
+  })
+    .filter(market => isInCategory(market, options.category))
+    .slice(0, options.limit);
+}
+
+const toJson = (market, index) => ({
+  rank: index + 1,
+  id: market.id,
+  question: market.question,
+  eventTitle: market.eventTitle || null,
+  outcome: market.outcomeLabel,
+  url: getMarketUrl(market),
+  categories: market.categories,
+  currentPrice: market.currentPrice,
+  openPrice: market.openPrice,
+  high: market.high,
+  low: market.low,
+  netChange: market.netChange,
+  netChangePercent: market.netChangePercent,
+  movement: market.movement,
+  unusualScore: market.unusualScore,
+  volume: market.volume,
+  liquidity: market.liquidity,
+  endDate: market.endDate || null
+});
+
+const truncate = (text, width) => (text.length > width ? `${text.slice(0, Math.max(0, width - 1))}…` : text);
+
+function formatTable(markets, options) {
+  const movementWindow = getMovementWindow(options.window);
+  const header = ['#', 'Price', 'Net', 'Range', `Vol ${movementWindow.volumeLabel}`, 'Category', 'Question'];
+  const rows = markets.map((market, index) => [
+    String(index + 1),
+    formatPrice(market.currentPrice),
+    formatNetChange(market.netChange),
+    formatMovement(market.movement),
+    formatVolume(market.volume),
+    market.categories.join(', '),
+    market.outcomeLabel ? `${market.question} · ${market.outcomeLabel}` : market.question
+  ]);
+
+  // Numbers right-aligned; the question takes whatever width the terminal has left
+  const widths = header.slice(0, -1).map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const questionWidth = process.stdout.isTTY
+    ? Math.max(20, process.stdout.columns - widths.reduce((sum, width) => sum + width + 2, 0))
+    : Infinity;
+  const formatRow = (row) => row.map((cell, column) => {
+    if (column === row.length - 1) return truncate(cell, questionWidth);
+    return column >= 1 && column <= 4 ? cell.padStart(widths[column]) : cell.padEnd(widths[column]);
+  }).join('  ');
+
+  const title = `Top ${markets.length} · ${SORT_MODES[options.sort].label} · ${movementWindow.longLabel} window · ${getCategoryLabel(options.category)} · ${new Date().toLocaleString()}`;
+  if (markets.length === 0) return `${title}\nNo markets match.`;
+  return [title, formatRow(header), ...rows.map(formatRow)].join('\n');
+}
+
+const print = (markets, options) => {
+  if (options.json) {
+    const output = markets.map(toJson);
+    process.stdout.write(`${options.watch ? JSON.stringify({ updatedAt: new Date().toISOString(), markets: output }) : JSON.stringify(output, null, 2)}\n`);
+    return;
+  }
+  // Redraw in place when watching in a terminal
+  if (options.watch && process.stdout.isTTY) process.stdout.write('\x1b[2J\x1b[H');
+  process.stdout.write(`${formatTable(markets, options)}\n`);
+};
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`🚨 ${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  routeProgressLogs(options.verbose);
+
+  const api = new PolymarketAPI({ apiProxyUrl: options.proxy });
+  const run = async () => print(await fetchTopMovers(api, options), options);
+
+  if (!options.watch) {
+    try {
+      await run();
+    } catch (error) {
+      console.error('🚨 Could not load movers:', error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  // A failed refresh is reported and retried at the next interval
+  for (;;) {
+    try {
+      await run();
+    } catch (error) {
+      console.error(`🚨 ${new Date().toLocaleTimeString()}: Could not refresh movers:`, error.message);
+    }
+    await new Promise(resolve => setTimeout(resolve, options.intervalMinutes * 60 * 1000));
+  }
+}
+
+main();
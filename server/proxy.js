@@ -0,0 +1,315 @@
+// Self-hostable API proxy for production builds, replacing the public CORS proxy.
+// Mirrors the dev server's /api/gamma, /api/clob and /api/data rewrites (vite.config.js) for an
+// allow-list of upstream paths, with a cache shared by all clients and per-client rate limiting.
+// No dependencies beyond Node 18+:
+//
+//   PORT=8787 ALLOWED_ORIGINS=https://example.github.io node server/proxy.js
+//
+// and build the client with VITE_API_PROXY_URL=https://your-proxy.example.com
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+// Upstream paths clients may reach, with the methods allowed and how long responses are shared (ms).
+// `budget` names the rate limit the path counts against (default otherwise).
+export const ROUTES = {
+  '/api/gamma': {
+    target: 'https://gamma-api.polymarket.com',
+    paths: {
+      '/events': { methods: ['GET'], ttl: 30 * 1000 },
+      '/markets': { methods: ['GET'], ttl: 30 * 1000 }
+    }
+  },
+  '/api/clob': {
+    target: 'https://clob.polymarket.com',
+    paths: {
+      // The Dashboard fetches one history per market, thousands per load
+      '/prices-history': { methods: ['GET'], ttl: 60 * 1000, budget: 'history' },
+      '/book': { methods: ['GET'], ttl: 5 * 1000 },
+      '/books': { methods: ['POST'], ttl: 5 * 1000 }
+    }
+  },
+  '/api/data': {
+    target: 'https://data-api.polymarket.com',
+    paths: {
+      '/trades': { methods: ['GET'], ttl: 10 * 1000 }
+    }
+  }
+};
+
+const DEFAULT_OPTIONS = {
+  port: 8787,
+  host: '0.0.0.0',
+  // Browser origins allowed besides the proxy's own; '*' opens the proxy to any site
+  allowedOrigins: [],
+  // Token bucket per client: `rateLimitBurst` requests at once, refilled at `rateLimitPerMinute`.
+  // Price histories have their own bucket, large enough for a full Dashboard load (up to 1000 events).
+  rateLimitPerMinute: 600,
+  rateLimitBurst: 300,
+  historyRateLimitPerMinute: 6000,
+  historyRateLimitBurst: 6000,
+  // Take the client address from X-Forwarded-For (only behind a trusted reverse proxy)
+  trustProxy: false,
+  // Keeps memory bounded (most entries are price histories of a few KB); a full Dashboard load
+  // fetches more histories than this, so some of them miss
+  maxCacheEntries: 2000,
+  maxBodyBytes: 64 * 1024,
+  upstreamTimeout: 15000,
+  fetchImpl: globalThis.fetch
+};
+
+const readOptionsFromEnv = (env) => ({
+  port: env.PORT ? Number(env.PORT) : undefined,
+  host: env.HOST,
+  allowedOrigins: env.ALLOWED_ORIGINS ? env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean) : undefined,
+  rateLimitPerMinute: env.RATE_LIMIT_PER_MINUTE ? Number(env.RATE_LIMIT_PER_MINUTE) : undefined,
+  rateLimitBurst: env.RATE_LIMIT_BURST ? Number(env.RATE_LIMIT_BURST) : undefined,
+  historyRateLimitPerMinute: env.HISTORY_RATE_LIMIT_PER_MINUTE ? Number(env.HISTORY_RATE_LIMIT_PER_MINUTE) : undefined,
+  historyRateLimitBurst: env.HISTORY_RATE_LIMIT_BURST ? Number(env.HISTORY_RATE_LIMIT_BURST) : undefined,
+  maxCacheEntries: env.MAX_CACHE_ENTRIES ? Number(env.MAX_CACHE_ENTRIES) : undefined,
+  trustProxy: env.TRUST_PROXY === 'true' ? true : undefined
+});
+
+// Route for a request path, e.g. /api/clob/book -> { target, path: '/book', ttl, methods }
+export function resolveRoute(pathname) {
+  for (const [prefix, route] of Object.entries(ROUTES)) {
+    if (!pathname.startsWith(`${prefix}/`)) continue;
+    const path = pathname.slice(prefix.length);
+    const rule = route.paths[path];
+    return rule ? { target: route.target, path, ...rule } : null;
+  }
+  return null;
+}
+
+// Per-client token buckets; take() returns 0 when allowed, otherwise ms until the next token
+export class RateLimiter {
+  constructor({ perMinute, burst, now = Date.now }) {
+    this.ratePerMs = perMinute / 60000;
+    this.burst = burst;
+    this.now = now;
+    this.buckets = new Map();
+  }
+
+  take(client) {
+    const now = this.now();
+    const bucket = this.buckets.get(client) || { tokens: this.burst, updatedAt: now };
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.ratePerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(client, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) / this.ratePerMs);
+  }
+
+  // Forget clients whose buckets have refilled completely
+  sweep() {
+    const now = this.now();
+    for (const [client, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.ratePerMs >= this.burst) {
+        this.buckets.delete(client);
+      }
+    }
+  }
+}
+
+// Successful upstream responses shared by all clients, oldest evicted first
+class ResponseCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.inFlight = new Map();
+  }
+
+  get(key, ttl) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.fetchedAt > ttl) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // One upstream request per key at a time; concurrent callers share its result
+  share(key, request) {
+    if (!this.inFlight.has(key)) {
+      this.inFlight.set(key, request().finally(() => this.inFlight.delete(key)));
+    }
+    return this.inFlight.get(key);
+  }
+}
+
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  // Oversized bodies are drained rather than buffered, so the 413 still reaches the client
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+export function createProxyServer(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const cache = new ResponseCache(options.maxCacheEntries);
+  const limiters = {
+    default: new RateLimiter({ perMinute: options.rateLimitPerMinute, burst: options.rateLimitBurst }),
+    history: new RateLimiter({ perMinute: options.historyRateLimitPerMinute, burst: options.historyRateLimitBurst })
+  };
+
+  // Same-origin requests (client served from the proxy's host) need no configuration
+  const isSameOrigin = (req, origin) => {
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch {
+      return false;
+    }
+  };
+
+  const corsHeaders = (req) => {
+    const origin = req.headers.origin;
+    if (options.allowedOrigins.includes('*')) return { 'Access-Control-Allow-Origin': '*' };
+    if (origin && (options.allowedOrigins.includes(origin) || isSameOrigin(req, origin))) {
+      return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' };
+    }
+    return {};
+  };
+
+  const getClient = (req) => {
+    const forwarded = options.trustProxy ? req.headers['x-forwarded-for']?.split(',')[0].trim() : null;
+    return forwarded || req.socket.remoteAddress || 'unknown';
+  };
+
+  const fetchUpstream = async (url, method, body) => {
+    const response = await options.fetchImpl(url, {
+      method,
+      headers: { Accept: 'application/json', ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body || undefined,
+      signal: AbortSignal.timeout(options.upstreamTimeout)
+    });
+    return {
+      status: response.status,
+      contentType: response.headers.get('content-type') || 'application/json',
+      retryAfter: response.headers.get('retry-after'),
+      body: Buffer.from(await response.arrayBuffer()),
+      fetchedAt: Date.now()
+    };
+  };
+
+  const handle = async (req, res) => {
+    const cors = corsHeaders(req);
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { ...cors, ...headers });
+      res.end(body);
+    };
+    const sendError = (status, message, headers = {}) => (
+      send(status, JSON.stringify({ error: message }), { 'Content-Type': 'application/json', ...headers })
+    );
+
+    const { pathname, search } = new URL(req.url, 'http://proxy.local');
+
+    if (pathname === '/healthz') {
+      send(200, JSON.stringify({ ok: true, cachedResponses: cache.entries.size }), { 'Content-Type': 'application/json' });
+      return;
+    }
+
+    if (req.headers.origin && Object.keys(cors).length === 0) {
+      sendError(403, 'Origin not allowed');
+      return;
+    }
+
+    const route = resolveRoute(pathname);
+    if (!route) {
+      sendError(404, 'Not an allowed upstream path');
+      return;
+    }
+
+    if (req.method === 'OPTIONS') {
+      send(204, null, {
+        'Access-Control-Allow-Methods': [...route.methods, 'OPTIONS'].join(', '),
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Max-Age': '86400'
+      });
+      return;
+    }
+
+    if (!route.methods.includes(req.method)) {
+      sendError(405, 'Method not allowed', { Allow: route.methods.join(', ') });
+      return;
+    }
+
+    const waitMs = limiters[route.budget || 'default'].take(getClient(req));
+    if (waitMs > 0) {
+      sendError(429, 'Rate limit exceeded', { 'Retry-After': String(Math.ceil(waitMs / 1000)) });
+      return;
+    }
+
+    const body = req.method === 'POST' ? await readBody(req, options.maxBodyBytes) : null;
+    const url = `${route.target}${route.path}${search}`;
+    const key = `${req.method} ${url} ${body ? body.toString('utf8') : ''}`;
+
+    let entry = cache.get(key, route.ttl);
+    const cacheStatus = entry ? 'HIT' : 'MISS';
+    if (!entry) {
+      entry = await cache.share(key, async () => {
+        const response = await fetchUpstream(url, req.method, body);
+        if (response.status === 200) cache.set(key, response);
+        return response;
+      });
+    }
+
+    send(entry.status, entry.body, {
+      'Content-Type': entry.contentType,
+      'X-Cache': cacheStatus,
+      ...(entry.retryAfter ? { 'Retry-After': entry.retryAfter } : {})
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      const status = error.status || (error.name === 'TimeoutError' ? 504 : 502);
+      console.warn(`⚠️ ${req.method} ${req.url} failed (${status}):`, error.message);
+      if (!res.headersSent) {
+        res.writeHead(status, { ...corsHeaders(req), 'Content-Type': 'application/json' });
+      }
+      res.end(JSON.stringify({ error: status === 413 ? error.message : 'Upstream request failed' }));
+    });
+  });
+
+  const sweepTimer = setInterval(() => Object.values(limiters).forEach(limiter => limiter.sweep()), 60 * 1000);
+  sweepTimer.unref();
+  server.on('close', () => clearInterval(sweepTimer));
+
+  return server;
+}
+
+// Run directly: node server/proxy.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const envOptions = Object.fromEntries(Object.entries(readOptionsFromEnv(process.env)).filter(([, value]) => value !== undefined));
+  const options = { ...DEFAULT_OPTIONS, ...envOptions };
+  createProxyServer(options).listen(options.port, options.host, () => {
+    console.log(`✅ Polymotion API proxy listening on http://${options.host}:${options.port}`);
+    if (options.allowedOrigins.length === 0) {
+      console.warn('⚠️ ALLOWED_ORIGINS is not set: browsers on other origins will get a 403');
+    } else if (options.allowedOrigins.includes('*')) {
+      console.warn('⚠️ ALLOWED_ORIGINS=* lets any website use this proxy and its rate limits');
+    }
+    console.log(`   Allowed origins: ${['same origin', ...options.allowedOrigins].join(', ')} · cache ${options.maxCacheEntries} responses · per client ${options.rateLimitPerMinute} requests/min (burst ${options.rateLimitBurst}), price histories ${options.historyRateLimitPerMinute}/min (burst ${options.historyRateLimitBurst})`);
+  });
+}
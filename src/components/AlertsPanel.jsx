@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, ChevronDown, ChevronRight, Plus, Trash2 } from 'lucide-react';
+import { ALERT_TYPES, ALERT_WINDOWS, createAlertRule, describeAlertRule } from '../utils/alerts';
+
+const LOG_PREVIEW = 20;
+
+const getPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+// Alert rule editor and the log of fired alerts
+const AlertsPanel = ({ rules, log, categories, markets, onChangeRules, onClearLog, onSelectMarket, theme }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [permission, setPermission] = useState(getPermission);
+  const [target, setTarget] = useState('category:all');
+  const [type, setType] = useState('moves');
+  const [thresholdCents, setThresholdCents] = useState(10);
+  const [windowHours, setWindowHours] = useState(1);
+
+  const requestPermission = async () => {
+    if (typeof Notification === 'undefined') return;
+    setPermission(await Notification.requestPermission());
+  };
+
+  const addRule = () => {
+    const [kind, ...rest] = target.split(':');
+    const value = rest.join(':');
+    const market = kind === 'market' ? markets.find(candidate => candidate.id === value) : null;
+    if (kind === 'market' && !market) return;
+
+    onChangeRules([
+      ...rules,
+      createAlertRule({
+        market,
+        category: kind === 'category' ? value : null,
+        type,
+        threshold: thresholdCents / 100,
+        windowHours
+      })
+    ]);
+
+    if (permission === 'default') requestPermission();
+  };
+
+  const toggleRule = (id) => {
+    onChangeRules(rules.map(rule => (rule.id === id ? { ...rule, enabled: !rule.enabled } : rule)));
+  };
+
+  const deleteRule = (id) => {
+    onChangeRules(rules.filter(rule => rule.id !== id));
+  };
+
+  const fieldClass = `rounded border px-2 py-1 text-sm bg-transparent ${theme.borderColor} ${theme.primaryText}`;
+
+  return (
+    <div className={`rounded-lg shadow-md p-6 mb-6 border ${theme.cardBackground}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`w-full flex items-center justify-between text-lg font-semibold ${theme.primaryText}`}
+      >
+        <span className="flex items-center gap-2">
+          {isOpen ? <ChevronDown size={18} /> : <ChevronRight size={18} />}
+          <Bell size={18} />
+          Alerts
+        </span>
+        <span className={`text-sm font-normal ${theme.mutedText}`}>
+          {rules.length} {rules.length === 1 ? 'rule' : 'rules'} · {log.length} fired
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-6">
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={target} onChange={(event) => setTarget(event.target.value)} className={`${fieldClass} max-w-xs`}>
+              <optgroup label="Category">
+                {categories.map(category => (
+                  <option key={category} value={`category:${category}`}>
+                    {category === 'all' ? 'Any market' : `Any ${category} market`}
+                  </option>
+                ))}
+              </optgroup>
+              {markets.length > 0 && (
+                <optgroup label="Displayed markets">
+                  {markets.map(market => (
+                    <option key={market.id} value={`market:${market.id}`}>
+                      {market.question.length > 70 ? `${market.question.slice(0, 70)}…` : market.question}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+            <select value={type} onChange={(event) => setType(event.target.value)} className={fieldClass}>
+              {Object.entries(ALERT_TYPES).map(([key, alertType]) => (
+                <option key={key} value={key}>{alertType.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min={0}
+              max={100}
+              step={0.5}
+              value={thresholdCents}
+              onChange={(event) => setThresholdCents(parseFloat(event.target.value) || 0)}
+              className={`${fieldClass} w-20`}
+            />
+            <span className={`text-sm ${theme.secondaryText}`}>¢</span>
+            {type === 'moves' && (
+              <>
+                <span className={`text-sm ${theme.secondaryText}`}>within</span>
+                <select
+                  value={windowHours}
+                  onChange={(event) => setWindowHours(parseInt(event.target.value, 10))}
+                  title="Windows shorter than the table's movement window only count moves seen since this page was opened"
+                  className={fieldClass}
+                >
+                  {ALERT_WINDOWS.map(hours => (
+                    <option key={hours} value={hours}>{hours}h</option>
+                  ))}
+                </select>
+              </>
+            )}
+            <button
+              onClick={addRule}
+              className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm border ${theme.primaryButton}`}
+            >
+              <Plus size={14} />
+              Add rule
+            </button>
+          </div>
+
+          <div className={`text-sm ${theme.mutedText}`}>
+            {permission === 'granted' && 'Browser notifications are on.'}
+            {permission === 'denied' && 'Browser notifications are blocked; alerts only appear in the log below.'}
+            {permission === 'unsupported' && 'This browser does not support notifications; alerts only appear in the log below.'}
+            {permission === 'default' && (
+              <button onClick={requestPermission} className="underline">Enable browser notifications</button>
+            )}
+          </div>
+
+          {rules.length > 0 && (
+            <ul className={`divide-y border rounded-lg ${theme.borderColor}`}>
+              {rules.map(rule => (
+                <li key={rule.id} className={`flex items-center justify-between gap-3 px-4 py-2 text-sm ${theme.borderColor}`}>
+                  <span className={rule.enabled ? theme.primaryText : theme.mutedText}>{describeAlertRule(rule)}</span>
+                  <span className="flex items-center gap-2 shrink-0">
+                    <button
+                      onClick={() => toggleRule(rule.id)}
+                      className={theme.mutedText}
+                      title={rule.enabled ? 'Pause rule' : 'Resume rule'}
+                    >
+                      {rule.enabled ? <Bell size={16} /> : <BellOff size={16} />}
+                    </button>
+                    <button onClick={() => deleteRule(rule.id)} className={theme.mutedText} title="Delete rule">
+                      <Trash2 size={16} />
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className={`text-sm font-semibold ${theme.primaryText}`}>Alert log</h3>
+              {log.length > 0 && (
+                <button onClick={onClearLog} className={`text-xs ${theme.mutedText}`}>Clear</button>
+              )}
+            </div>
+            {log.length === 0 ? (
+              <p className={`text-sm ${theme.mutedText}`}>No alerts yet. Rules are checked every time market data refreshes.</p>
+            ) : (
+              <ul className="space-y-2">
+                {log.slice(0, LOG_PREVIEW).map(entry => (
+                  <li key={entry.id} className="text-sm">
+                    <button onClick={() => onSelectMarket(entry.marketId)} className={`text-left font-medium ${theme.primaryText}`}>
+                      {entry.question}
+                    </button>
+                    <div className={`text-xs ${theme.mutedText}`}>
+                      {new Date(entry.firedAt).toLocaleString()} · {entry.message} · {entry.rule}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertsPanel;
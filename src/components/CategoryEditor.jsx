@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { DEFAULT_CATEGORY_MAPPINGS } from '../utils/marketAnalyzer';
+import { parseKeywords } from '../utils/categories';
+
+// 'other' is the fallback for unmatched markets, so it has no keywords to edit
+const toRows = (mappings) => Object.entries(mappings)
+  .filter(([category]) => category !== 'other')
+  .map(([category, keywords]) => ({ category, keywords: keywords.join(', ') }));
+
+// Editor for the keyword lists that map tags and questions to categories
+const CategoryEditor = ({ mappings, onSave, onCancel, theme }) => {
+  const [rows, setRows] = useState(() => toRows(mappings));
+
+  const updateRow = (index, changes) => {
+    setRows(rows.map((row, rowIndex) => (rowIndex === index ? { ...row, ...changes } : row)));
+  };
+
+  // Blank and duplicate names are dropped; 'all' is reserved for the unfiltered view
+  const save = () => {
+    const next = {};
+    for (const row of rows) {
+      const category = row.category.trim().toLowerCase();
+      if (!category || category === 'all' || category === 'other' || next[category]) continue;
+      next[category] = parseKeywords(row.keywords);
+    }
+    next.other = [];
+    onSave(next);
+  };
+
+  const fieldClass = `rounded border px-2 py-1 text-sm bg-transparent ${theme.borderColor} ${theme.primaryText}`;
+
+  return (
+    <div className={`mt-4 pt-4 border-t space-y-3 ${theme.borderColor}`}>
+      <p className={`text-sm ${theme.mutedText}`}>
+        A market joins every category with a keyword matching one of its tags or a whole word in its question,
+        so it can be in several, with categories from tags first. Markets matching none use their first tag as their category.
+        Rules are saved in this browser only.
+      </p>
+
+      {rows.map((row, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={row.category}
+            onChange={(event) => updateRow(index, { category: event.target.value })}
+            placeholder="Category"
+            className={`${fieldClass} w-36`}
+          />
+          <input
+            type="text"
+            value={row.keywords}
+            onChange={(event) => updateRow(index, { keywords: event.target.value })}
+            placeholder="Comma-separated keywords"
+            className={`${fieldClass} flex-1 min-w-[12rem]`}
+          />
+          <button
+            onClick={() => setRows(rows.filter((_, rowIndex) => rowIndex !== index))}
+            className={theme.mutedText}
+            title="Delete category"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setRows([...rows, { category: '', keywords: '' }])}
+            className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm border ${theme.secondaryButton}`}
+          >
+            <Plus size={14} />
+            Add category
+          </button>
+          <button onClick={() => setRows(toRows(DEFAULT_CATEGORY_MAPPINGS))} className={`text-sm underline ${theme.mutedText}`}>
+            Reset to defaults
+          </button>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={onCancel} className={`px-3 py-1 rounded-lg text-sm border ${theme.secondaryButton}`}>
+            Cancel
+          </button>
+          <button onClick={save} className={`px-3 py-1 rounded-lg text-sm border ${theme.primaryButton}`}>
+            Save rules
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryEditor;
@@ -1,18 +1,133 @@
-﻿import React, { useState, useEffect } from 'react';
-import { RefreshCw, Moon, Sun } from 'lucide-react';
+﻿import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { RefreshCw, History, Moon, Sun, TrendingUp, TrendingDown, Minus, Search, X, Star, Download, Upload, ArrowUp, ArrowDown } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
 import polymarketApi from '../services/polymarketApi';
-import { processRealMarketData } from '../utils/marketAnalyzer';
+import marketStream from '../services/marketStream';
+import snapshotStore from '../services/snapshotStore';
+import marketAnalyzer, { processRealMarketData, getPrimaryTokenIds, applyLivePrice, applyCategoryMappings, getMarketsAt, summarizeOrderBook, DEPTH_BAND, groupMarketsByEvent, SORT_MODES, getDefaultSortDirection } from '../utils/marketAnalyzer';
+import { MOVEMENT_WINDOWS, getMovementWindow, getHistoryOptions, getReplayOptions } from '../utils/movementWindows';
+import { parseViewState, serializeViewState } from '../utils/urlState';
+import { captureSnapshot, getRowChange } from '../utils/snapshotDiff';
+import { loadWatchlist, saveWatchlist, createWatchlistEntry, exportWatchlist, importWatchlist } from '../utils/watchlist';
+import { loadAlertRules, saveAlertRules, loadAlertLog, saveAlertLog, loadAlertCooldowns, saveAlertCooldowns, recordAlertCooldowns, recordObservations, evaluateAlertRules, notifyAlerts } from '../utils/alerts';
+import { downloadFile } from '../utils/download';
+import { EXPORT_FORMATS, exportView } from '../utils/exportView';
+import { loadCategoryMappings, saveCategoryMappings, isInCategory, getMarketCategories, getCategoryLabel, buildCategoryList } from '../utils/categories';
+import { loadLargeTradeUsd, saveLargeTradeUsd, mergeTrades, getMoveSource, describeMoveSource, MOVE_SOURCES } from '../utils/trades';
+import { formatPrice, formatMovement, formatNetChange, formatPercent, formatVolume } from '../utils/formatters';
+import MarketDetail from './MarketDetail';
+import EventGroupTable from './EventGroupTable';
+import FilterPanel from './FilterPanel';
+import AlertsPanel from './AlertsPanel';
+import CategoryEditor from './CategoryEditor';
+import ReplayBar from './ReplayBar';
+import LargeTradesFeed from './LargeTradesFeed';
+import SortableHeader from './SortableHeader';
+import HighlightText from './HighlightText';
+import Sparkline from './Sparkline';
 import logoImg from '/logo.png';
 
+// Background polling choices in minutes; 0 turns polling off
+const REFRESH_INTERVALS = [0, 1, 5, 15, 30];
+const DEFAULT_REFRESH_MINUTES = 5;
+const CHANGE_HIGHLIGHT_MS = 3000;
+// Wait for the displayed rows to settle (typing, dragging sliders) before fetching their order books
+const BOOK_FETCH_DELAY_MS = 800;
+// Large trades are polled a little after the books so the two requests don't land together
+const TRADE_FETCH_DELAY_MS = 1200;
+// Replays cover this many of the highest-volume markets, advancing one step per tick while playing
+const REPLAY_MAX_MARKETS = 200;
+const REPLAY_TICK_MS = 700;
+// Category buttons shown before "Show all"
+const VISIBLE_CATEGORIES = 12;
+// Smallest "since you last looked" price change worth showing
+const LAST_VISIT_MIN_DELTA = 0.005;
+// Streamed quotes are buffered and applied to state at most this often
+const LIVE_FLUSH_MS = 500;
+
+const STREAM_STATUS = {
+  open: { label: '🟢 Streaming live prices', style: 'successStatus' },
+  connecting: { label: '🟡 Connecting to live prices…', style: 'warningStatus' },
+  reconnecting: { label: '🟡 Reconnecting…', style: 'warningStatus' },
+  unavailable: { label: '⚪ Live prices unavailable', style: 'secondaryButton' },
+  // No connection: nothing to stream yet, or every streamed market has left the table
+  idle: { label: '⚪ Live prices idle', style: 'secondaryButton' },
+  closed: { label: '⚪ Live prices disconnected', style: 'secondaryButton' }
+};
+
+const loadRefreshMinutes = () => {
+  const saved = parseInt(localStorage.getItem('refreshInterval'), 10);
+  return REFRESH_INTERVALS.includes(saved) ? saved : DEFAULT_REFRESH_MINUTES;
+};
+
+// Coalesce URL changes made within this interval (typing, dragging sliders) into one history entry
+const HISTORY_COALESCE_MS = 1000;
+
 const Dashboard = () => {
+  // View state restored from the URL query string on load
+  const [initialView] = useState(() => parseViewState(window.location.search));
+
   const [markets, setMarkets] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
-  const [selectedCategory, setSelectedCategory] = useState('all');
+  // When the shown data is older than lastUpdated because requests failed: the time of the last good data
+  const [staleSince, setStaleSince] = useState(null);
+  const [selectedCategory, setSelectedCategory] = useState(initialView.category);
   const [isDarkMode, setIsDarkMode] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [movementWindow, setMovementWindow] = useState(initialView.movementWindow);
+  const [windowLoading, setWindowLoading] = useState(false);
+  const [sortMode, setSortMode] = useState(initialView.sortMode);
+  const [sortDirection, setSortDirection] = useState(initialView.sortDirection);
+  const [searchQuery, setSearchQuery] = useState(initialView.searchQuery);
+  const [selectedMarketId, setSelectedMarketId] = useState(initialView.selectedMarketId);
+  const [viewMode, setViewMode] = useState(initialView.viewMode);
+  const [filters, setFilters] = useState(initialView.filters);
+  const [watchlist, setWatchlist] = useState(loadWatchlist);
+  const [refreshMinutes, setRefreshMinutes] = useState(loadRefreshMinutes);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [changeSnapshot, setChangeSnapshot] = useState(null);
+  const [highlightChanges, setHighlightChanges] = useState(false);
+  const [liveEnabled, setLiveEnabled] = useState(() => localStorage.getItem('liveStream') !== 'off');
+  const [streamStatus, setStreamStatus] = useState(marketStream.status);
+  const [alertRules, setAlertRules] = useState(loadAlertRules);
+  const [alertLog, setAlertLog] = useState(loadAlertLog);
+  // Last snapshot from a previous visit, for "since you last looked" deltas
+  const [lastVisit, setLastVisit] = useState(null);
+  // Time-travel replay: { markets, histories, start, end, at, step, playing, speed } while active
+  const [replay, setReplay] = useState(null);
+  const [replayLoading, setReplayLoading] = useState(false);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  // Order book summaries by token id for displayed markets
+  const [orderBooks, setOrderBooks] = useState({});
+  const [showBookColumns, setShowBookColumns] = useState(() => localStorage.getItem('showBookColumns') === 'true');
+  // Trades of at least largeTradeUsd from polling and the live stream, newest first
+  const [largeTradeUsd, setLargeTradeUsd] = useState(loadLargeTradeUsd);
+  const [largeTrades, setLargeTrades] = useState([]);
+  // Per market id: from when its large trades are complete (null: fully loaded); see PolymarketAPI.fetchTrades
+  const [tradeCoverage, setTradeCoverage] = useState({});
+  const [categoryMappings, setCategoryMappings] = useState(loadCategoryMappings);
+  const [showAllCategories, setShowAllCategories] = useState(false);
+  const [editingCategories, setEditingCategories] = useState(false);
 
-  const categories = ['all', 'politics', 'sports', 'crypto', 'entertainment', 'technology', 'finance', 'weather', 'other'];
+  // Unprocessed markets from the last fetch, so a window change only refetches history
+  const rawMarketsRef = useRef([]);
+  const windowRef = useRef(initialView.movementWindow);
+  const watchlistRef = useRef(watchlist);
+  const watchlistFileRef = useRef(null);
+  const fetchInFlightRef = useRef(false);
+  const lastFetchRef = useRef(0);
+  // Rows as currently displayed, captured before a background refresh replaces them
+  const displayedMarketsRef = useRef([]);
+  // Starts at mount time so canonicalizing the initial URL replaces rather than pushes
+  const lastHistoryPushRef = useRef(Date.now());
+  // Price observations per market id, used by alert rules
+  const observationsRef = useRef(new Map());
+  const alertLogRef = useRef(alertLog);
+  const alertCooldownsRef = useRef(null);
+  const largeTradeUsdRef = useRef(largeTradeUsd);
+  const categoryMappingsRef = useRef(categoryMappings);
 
   // Toggle dark mode and apply to document
   const toggleDarkMode = () => {
@@ -44,53 +159,649 @@ const Dashboard = () => {
     localStorage.setItem('darkMode', JSON.stringify(isDarkMode));
   }, [isDarkMode]);
 
+  // Save watchlist
+  useEffect(() => {
+    watchlistRef.current = watchlist;
+    saveWatchlist(watchlist);
+  }, [watchlist]);
+
+  useEffect(() => {
+    saveAlertRules(alertRules);
+  }, [alertRules]);
+
+  useEffect(() => {
+    alertLogRef.current = alertLog;
+    saveAlertLog(alertLog);
+  }, [alertLog]);
+
+  // Check alert rules whenever processed market data changes (fetches, refreshes and live prices)
+  useEffect(() => {
+    if (markets.length === 0) return;
+
+    const now = Date.now();
+    observationsRef.current = recordObservations(observationsRef.current, markets, now);
+    if (alertRules.length === 0) return;
+
+    // Loaded on first use rather than on every render
+    if (!alertCooldownsRef.current) alertCooldownsRef.current = loadAlertCooldowns();
+    const alerts = evaluateAlertRules(alertRules, markets, observationsRef.current, alertCooldownsRef.current, now);
+    if (alerts.length > 0) {
+      console.log(`🔔 ${alerts.length} alerts fired`);
+      alertCooldownsRef.current = recordAlertCooldowns(alertCooldownsRef.current, alerts, now);
+      saveAlertCooldowns(alertCooldownsRef.current);
+      alertLogRef.current = [...alerts, ...alertLogRef.current];
+      setAlertLog(alertLogRef.current);
+      notifyAlerts(alerts);
+    }
+  }, [markets, alertRules]);
+
+  // Load the previous visit's last snapshot before this session saves any
+  useEffect(() => {
+    snapshotStore.getLatestSnapshot(Date.now())
+      .then(snapshot => {
+        if (!snapshot) return;
+        setLastVisit({
+          takenAt: snapshot.takenAt,
+          prices: new Map(snapshot.markets.map(market => [market.id, market.price]))
+        });
+      })
+      .catch(err => console.warn('⚠️ Dashboard: Could not read snapshot history:', err.message));
+  }, []);
+
+  // Fill in movement for tokens the API returned no history for, using our own stored snapshots
+  const addLocalHistories = async (rawMarkets, windowKey, priceHistories) => {
+    const missingTokenIds = getPrimaryTokenIds(rawMarkets).filter(tokenId => !priceHistories[tokenId]?.length);
+    if (missingTokenIds.length === 0) return priceHistories;
+
+    try {
+      const localHistories = await snapshotStore.getPriceHistories(missingTokenIds, getMovementWindow(windowKey).hours);
+      console.log(`💾 Using stored snapshots for ${Object.keys(localHistories).length} of ${missingTokenIds.length} markets without API history`);
+      return { ...localHistories, ...priceHistories };
+    } catch (err) {
+      console.warn('⚠️ Dashboard: Could not read snapshot history:', err.message);
+      return priceHistories;
+    }
+  };
+
+  // Fetch watchlisted markets the paginated walk didn't return, adding their history to `priceHistories`
+  const fetchMissingWatchlistMarkets = async (loadedMarkets, windowKey, priceHistories) => {
+    const loadedIds = new Set(loadedMarkets.map(market => market.condition_id));
+    const missingIds = watchlistRef.current.map(entry => entry.id).filter(id => !loadedIds.has(id));
+    if (missingIds.length === 0) return [];
+
+    try {
+      const extraMarkets = await polymarketApi.fetchMarketsByConditionIds(missingIds);
+      const extraHistories = await polymarketApi.fetchPriceHistories(
+        getPrimaryTokenIds(extraMarkets),
+        getHistoryOptions(windowKey)
+      );
+      Object.assign(priceHistories, extraHistories);
+      return extraMarkets;
+    } catch (err) {
+      console.warn('⚠️ Dashboard: Could not load watchlisted markets:', err.message);
+      return [];
+    }
+  };
+
+  // Fetch all markets. Once a table is showing, refreshes run in the background:
+  // the current rows stay visible and are diffed against the new snapshot.
   const fetchMarketData = async () => {
-    console.log('🔄 Fetching market data...');
-    setLoading(true);
+    if (fetchInFlightRef.current) return;
+    fetchInFlightRef.current = true;
+    const startedAt = Date.now();
+    lastFetchRef.current = startedAt;
+
+    const isBackground = rawMarketsRef.current.length > 0;
+    console.log(`🔄 Fetching market data${isBackground ? ' in background' : ''}...`);
+    if (isBackground) {
+      setIsRefreshing(true);
+    } else {
+      setLoading(true);
+      setLoadProgress(null);
+    }
     setError(null);
 
+    const windowKey = windowRef.current;
+    const priceHistories = {};
+    const previousSnapshot = captureSnapshot(displayedMarketsRef.current);
+
     try {
-      const response = await polymarketApi.fetchMarkets(100, 0);
-      let marketsArray;
+      // Render each page as it arrives instead of waiting for the full walk
+      const marketsArray = await polymarketApi.fetchMarkets({
+        onPage: async ({ newMarkets, markets: pageMarkets, progress }) => {
+          const pageHistories = await polymarketApi.fetchPriceHistories(
+            getPrimaryTokenIds(newMarkets),
+            getHistoryOptions(windowKey)
+          );
+          Object.assign(priceHistories, pageHistories);
 
-      if (Array.isArray(response)) {
-        marketsArray = response;
-      } else if (response?.data && Array.isArray(response.data)) {
-        marketsArray = response.data;
-      } else {
-        throw new Error('Unexpected API response format');
-      }
+          // A background refresh swaps in the full snapshot at the end instead
+          if (isBackground) return;
+
+          rawMarketsRef.current = pageMarkets;
+          setMarkets(processRealMarketData(pageMarkets, priceHistories, { window: windowKey, categoryMappings: categoryMappingsRef.current }));
+          setLoadProgress(progress);
+          setLoading(false);
+        }
+      });
 
-      const processedMarkets = processRealMarketData(marketsArray);
-      console.log(`📈 Processed ${processedMarkets.length} unresolved markets from ${marketsArray.length} total markets`);
+      // Watchlisted markets are always shown, even outside the fetched pages
+      const watchlistMarkets = await fetchMissingWatchlistMarkets(marketsArray, windowKey, priceHistories);
+      const allMarkets = [...marketsArray, ...watchlistMarkets];
+
+      rawMarketsRef.current = allMarkets;
+      const histories = await addLocalHistories(allMarkets, windowKey, priceHistories);
+      const processedMarkets = processRealMarketData(allMarkets, histories, { window: windowKey, categoryMappings: categoryMappingsRef.current });
+      console.log(`📈 Processed ${processedMarkets.length} unresolved markets from ${allMarkets.length} total markets`);
 
       setMarkets(processedMarkets);
       setLastUpdated(new Date());
+      // Requests that failed after retries were answered from the response cache
+      const fallbackSince = polymarketApi.getFallbackSince(startedAt);
+      setStaleSince(fallbackSince ? new Date(fallbackSince) : null);
+
+      snapshotStore.saveSnapshot(processedMarkets, { window: windowKey })
+        .catch(err => console.warn('⚠️ Dashboard: Could not save snapshot:', err.message));
+
+      if (isBackground) {
+        setChangeSnapshot(previousSnapshot);
+        setHighlightChanges(true);
+      }
     } catch (err) {
       console.error('🚨 Dashboard: Error fetching market data:', err);
       setError(err.message);
-      setMarkets([]);
+      // Keep the last good data on screen rather than clearing the table
+      if (isBackground) {
+        setStaleSince(prev => prev || lastUpdated);
+      }
     } finally {
+      fetchInFlightRef.current = false;
       setLoading(false);
+      setIsRefreshing(false);
+      setLoadProgress(prev => (prev ? { ...prev, done: true } : prev));
     }
   };
 
+  // Latest fetchMarketData for timers and listeners registered once
+  const fetchMarketDataRef = useRef(fetchMarketData);
+  fetchMarketDataRef.current = fetchMarketData;
+
+  // Row flashes fade out after a few seconds; rank arrows stay until the next refresh
+  useEffect(() => {
+    if (!highlightChanges) return undefined;
+    const timer = setTimeout(() => setHighlightChanges(false), CHANGE_HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [highlightChanges]);
+
+  // Rank changes only make sense against the same view, so drop them when it changes
+  useEffect(() => {
+    setChangeSnapshot(null);
+  }, [selectedCategory, searchQuery, sortMode, sortDirection, movementWindow, viewMode, filters]);
+
+  // Background polling, paused while the tab is hidden
+  useEffect(() => {
+    localStorage.setItem('refreshInterval', String(refreshMinutes));
+    if (refreshMinutes === 0) return undefined;
+
+    const intervalMs = refreshMinutes * 60 * 1000;
+    let timer = null;
+    // A fetch still running when the tab hides or this effect is cleaned up must not reschedule
+    let paused = document.hidden;
+    let stopped = false;
+
+    const schedule = () => {
+      clearTimeout(timer);
+      const wait = Math.max(0, lastFetchRef.current + intervalMs - Date.now());
+      timer = setTimeout(async () => {
+        await fetchMarketDataRef.current();
+        if (!stopped && !paused) schedule();
+      }, wait);
+    };
+
+    const handleVisibilityChange = () => {
+      paused = document.hidden;
+      if (paused) {
+        clearTimeout(timer);
+      } else {
+        // Catches up immediately if a refresh came due while hidden
+        schedule();
+      }
+    };
+
+    if (!paused) schedule();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [refreshMinutes]);
+
+  // Buffer streamed prices and large trades and fold them into state in batches
   useEffect(() => {
-    fetchMarketData();
+    const pending = new Map();
+    const pendingTrades = [];
+    let timer = null;
+
+    const flush = () => {
+      timer = null;
+      const updates = [...pending.values()];
+      const trades = pendingTrades.splice(0);
+      pending.clear();
+      if (updates.length > 0) {
+        setMarkets(prev => prev.map(market => updates.reduce(
+          (current, update) => applyLivePrice(current, update.tokenId, update.price),
+          market
+        )));
+      }
+      if (trades.length > 0) {
+        setLargeTrades(prev => mergeTrades(prev, trades));
+      }
+    };
+
+    const unsubscribe = marketStream.subscribe(update => {
+      pending.set(update.tokenId, update);
+      if (!timer) timer = setTimeout(flush, LIVE_FLUSH_MS);
+    });
+    const unsubscribeTrades = marketStream.onTrade(trade => {
+      if (trade.usd < largeTradeUsdRef.current) return;
+      pendingTrades.push(trade);
+      if (!timer) timer = setTimeout(flush, LIVE_FLUSH_MS);
+    });
+    const unsubscribeStatus = marketStream.onStatus(setStreamStatus);
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+      unsubscribeTrades();
+      unsubscribeStatus();
+      marketStream.setAssets([]);
+    };
   }, []);
 
-  const filteredMarkets = markets.filter(market =>
-    selectedCategory === 'all' || market.category === selectedCategory
-  );
+  // Initial load only; later fetches are triggered explicitly
+  useEffect(() => {
+    fetchMarketDataRef.current();
+  }, []);
+
+  // Recompute high, low, movement and volume for a new window from the loaded markets
+  const changeMovementWindow = async (windowKey) => {
+    if (windowKey === windowRef.current) return;
+
+    windowRef.current = windowKey;
+    setMovementWindow(windowKey);
+    // A replay's history was fetched for the old window
+    setReplay(null);
+
+    const rawMarkets = rawMarketsRef.current;
+    if (rawMarkets.length === 0) return;
+
+    setWindowLoading(true);
+    try {
+      const priceHistories = await polymarketApi.fetchPriceHistories(
+        getPrimaryTokenIds(rawMarkets),
+        getHistoryOptions(windowKey)
+      );
+
+      const histories = await addLocalHistories(rawMarkets, windowKey, priceHistories);
+
+      // Ignore results for a window the user has already switched away from
+      if (windowRef.current !== windowKey) return;
+
+      setMarkets(processRealMarketData(rawMarkets, histories, { window: windowKey, categoryMappings: categoryMappingsRef.current }));
+      setLastUpdated(new Date());
+    } catch (err) {
+      console.error('🚨 Dashboard: Error loading movement window:', err);
+      setError(err.message);
+    } finally {
+      if (windowRef.current === windowKey) {
+        setWindowLoading(false);
+      }
+    }
+  };
+
+  // Load longer history for the highest-volume markets in the current category and open the
+  // replay at the present moment. Stored snapshots fill in where the API has no history.
+  const startReplay = async () => {
+    const windowKey = windowRef.current;
+    const { interval, fidelity, spanHours } = getReplayOptions(windowKey);
+    const replayMarkets = [...markets]
+      .filter(market => market.primaryTokenId && isInCategory(market, selectedCategory))
+      .sort((a, b) => b.volume24h - a.volume24h)
+      .slice(0, REPLAY_MAX_MARKETS);
+    const tokenIds = replayMarkets.map(market => market.primaryTokenId);
+
+    setReplayLoading(true);
+    setError(null);
+    try {
+      const apiHistories = await polymarketApi.fetchPriceHistories(tokenIds, { interval, fidelity });
+      const localHistories = await snapshotStore.getPriceHistories(tokenIds, spanHours)
+        .catch(err => {
+          console.warn('⚠️ Dashboard: Could not read snapshot history:', err.message);
+          return {};
+        });
+
+      const histories = {};
+      for (const tokenId of tokenIds) {
+        const points = [...(localHistories[tokenId] || []), ...(apiHistories[tokenId] || [])];
+        if (points.length > 0) {
+          histories[tokenId] = points.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        }
+      }
+
+      if (windowRef.current !== windowKey) return;
 
-  const formatPrice = (price) => `${(price * 100).toFixed(1)}¢`;
-  const formatMovement = (movement) => `${(movement * 100).toFixed(1)}¢`;
-  const formatVolume = (volume) => {
-    if (volume >= 1000000) return `$${(volume / 1000000).toFixed(1)}M`;
-    if (volume >= 1000) return `$${(volume / 1000).toFixed(1)}K`;
-    return `$${volume.toFixed(0)}`;
+      const step = fidelity * 60 * 1000;
+      const end = Math.floor(Date.now() / step) * step;
+      const start = end - (spanHours - getMovementWindow(windowKey).hours) * 60 * 60 * 1000;
+      console.log(`⏪ Replay ready: ${Object.keys(histories).length} of ${tokenIds.length} markets have history`);
+      setReplay({ markets: replayMarkets, histories, start, end, at: end, step, playing: false, speed: 1 });
+    } catch (err) {
+      console.error('🚨 Dashboard: Error loading replay history:', err);
+      setError(`Could not load replay history: ${err.message}`);
+    } finally {
+      setReplayLoading(false);
+    }
   };
 
+  // Move the replay to `at`, keeping the previous ranking for the rank change arrows
+  const seekReplay = useCallback((at) => {
+    setChangeSnapshot(captureSnapshot(displayedMarketsRef.current));
+    setReplay(prev => (prev ? { ...prev, at: Math.min(prev.end, Math.max(prev.start, at)) } : prev));
+  }, []);
+
+  // Play the replay forward until it reaches the present
+  useEffect(() => {
+    if (!replay?.playing) return undefined;
+
+    if (replay.at >= replay.end) {
+      setReplay(prev => ({ ...prev, playing: false }));
+      return undefined;
+    }
+
+    const timer = setTimeout(() => seekReplay(replay.at + replay.step * replay.speed), REPLAY_TICK_MS);
+    return () => clearTimeout(timer);
+  }, [replay, seekReplay]);
+
+  // Mirror the view into the URL so it survives a refresh and can be shared
+  const viewQuery = serializeViewState({
+    category: selectedCategory,
+    searchQuery,
+    sortMode,
+    sortDirection,
+    movementWindow,
+    viewMode,
+    selectedMarketId,
+    filters
+  });
+
+  useEffect(() => {
+    if (viewQuery === window.location.search) return;
+
+    // Keep the /polymotion/ base path and any hash; only the query string changes
+    const url = `${window.location.pathname}${viewQuery}${window.location.hash}`;
+    const now = Date.now();
+    if (now - lastHistoryPushRef.current < HISTORY_COALESCE_MS) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+    lastHistoryPushRef.current = now;
+  }, [viewQuery]);
+
+  // Restore the view when the user navigates with back/forward
+  const restoreViewRef = useRef(null);
+  restoreViewRef.current = () => {
+    const view = parseViewState(window.location.search);
+    setSelectedCategory(view.category);
+    setSearchQuery(view.searchQuery);
+    setSortMode(view.sortMode);
+    setSortDirection(view.sortDirection);
+    setViewMode(view.viewMode);
+    setSelectedMarketId(view.selectedMarketId);
+    setFilters(view.filters);
+    changeMovementWindow(view.movementWindow);
+  };
+
+  useEffect(() => {
+    const handlePopState = () => {
+      lastHistoryPushRef.current = Date.now();
+      restoreViewRef.current();
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const watchedIds = new Set(watchlist.map(entry => entry.id));
+
+  const toggleWatchlist = (market) => {
+    setWatchlist(prev => (
+      prev.some(entry => entry.id === market.id)
+        ? prev.filter(entry => entry.id !== market.id)
+        : [...prev, createWatchlistEntry(market)]
+    ));
+  };
+
+  const handleExportWatchlist = () => {
+    downloadFile(exportWatchlist(watchlist), 'polymotion-watchlist.json');
+  };
+
+  // Download the table exactly as filtered and sorted on screen
+  const handleExportView = (format) => {
+    const { extension, type } = EXPORT_FORMATS[format];
+    // Rows in the order shown: grouped by event in the events view
+    const rows = viewMode === 'events' ? eventGroups.flatMap(group => group.markets) : filteredMarkets;
+    const content = exportView(rows, format, {
+      fetchedAt: lastUpdated,
+      meta: {
+        view: viewQuery || null,
+        window: movementWindow,
+        replayAt: replay ? new Date(replay.at).toISOString() : null
+      }
+    });
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    downloadFile(content, `polymotion-movers-${stamp}.${extension}`, type);
+    setExportMenuOpen(false);
+  };
+
+  const handleExportHistory = async () => {
+    try {
+      downloadFile(await snapshotStore.exportSnapshots(), 'polymotion-history.json');
+    } catch (err) {
+      console.error('🚨 Dashboard: Could not export snapshot history:', err);
+      setError(`Could not export history: ${err.message}`);
+    }
+  };
+
+  const handleImportWatchlist = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const merged = importWatchlist(await file.text(), watchlistRef.current);
+      watchlistRef.current = merged;
+      setWatchlist(merged);
+
+      // Load any imported markets we don't have yet
+      const windowKey = windowRef.current;
+      const priceHistories = {};
+      const extraMarkets = await fetchMissingWatchlistMarkets(rawMarketsRef.current, windowKey, priceHistories);
+      if (extraMarkets.length === 0) return;
+
+      // Only the new markets need processing; the loaded rows keep their stats
+      const histories = await addLocalHistories(extraMarkets, windowKey, priceHistories);
+      if (windowRef.current !== windowKey) return;
+      rawMarketsRef.current = [...rawMarketsRef.current, ...extraMarkets];
+      const extraProcessed = processRealMarketData(extraMarkets, histories, { window: windowKey, categoryMappings: categoryMappingsRef.current });
+      setMarkets(prev => [...prev, ...extraProcessed.filter(market => !prev.some(existing => existing.id === market.id))]);
+    } catch (err) {
+      console.error('🚨 Dashboard: Error importing watchlist:', err);
+      setError(err.message);
+    }
+  };
+
+  const activeWindow = getMovementWindow(movementWindow);
+
+  const tradesByMarket = new Map();
+  for (const trade of largeTrades) {
+    if (!tradesByMarket.has(trade.conditionId)) tradesByMarket.set(trade.conditionId, []);
+    tradesByMarket.get(trade.conditionId).push(trade);
+  }
+
+  // A replay swaps in the markets as they stood at the scrubbed time; everything downstream is shared.
+  // Live markets carry their latest order book summary so spread and depth sort and export like any column,
+  // and whether their move came with large trades behind it.
+  const sourceMarkets = replay
+    ? getMarketsAt(replay.markets, replay.histories, replay.at, activeWindow.hours)
+    : markets.map(market => {
+      const book = orderBooks[market.primaryTokenId];
+      const moveSource = getMoveSource(market, tradesByMarket.get(market.id) || [], {
+        minUsd: largeTradeUsd,
+        coveredSince: tradeCoverage[market.id]
+      });
+      if (!book && !moveSource) return market;
+      return {
+        ...market,
+        ...(book && { bestBid: book.bestBid, bestAsk: book.bestAsk, spread: book.spread, depth: book.depth, isWideSpread: book.isWideSpread }),
+        moveSource
+      };
+    });
+
+  // Apply the filter panel first (without its limit) so category counts reflect it
+  const passingMarkets = marketAnalyzer.filterAndSortMarkets(sourceMarkets, {
+    ...filters,
+    searchQuery,
+    sortBy: sortMode,
+    sortDirection,
+    limit: Infinity,
+    asOf: replay ? new Date(replay.at) : new Date()
+  });
+  // The watchlist tab ignores filters, category and limit; only search and sort apply
+  const filteredMarkets = viewMode === 'watchlist'
+    ? marketAnalyzer.sortMarkets(
+      sourceMarkets.filter(market => watchedIds.has(market.id) && marketAnalyzer.matchesSearch(market, searchQuery)),
+      sortMode,
+      sortDirection
+    )
+    : passingMarkets
+      .filter(market => isInCategory(market, selectedCategory))
+      .slice(0, filters.limit);
+  displayedMarketsRef.current = filteredMarkets;
+  // Categories come from the loaded markets, counted over those passing the filters.
+  // The selected category stays visible even when it is past the cut-off or has no markets left.
+  const categoryList = buildCategoryList(sourceMarkets, passingMarkets);
+  const categories = ['all', ...categoryList.map(({ key }) => key)];
+  const visibleCategories = showAllCategories
+    ? categoryList
+    : categoryList.filter((entry, index) => index < VISIBLE_CATEGORIES || entry.key === selectedCategory);
+  // Price change since the previous visit's last snapshot, or null when the market wasn't in it
+  const getLastVisitDelta = (market) => {
+    if (replay) return null;
+    const previous = lastVisit?.prices.get(market.id);
+    return typeof previous === 'number' ? parseFloat((market.currentPrice - previous).toFixed(4)) : null;
+  };
+  const lastVisitMovers = lastVisit
+    ? filteredMarkets.filter(market => Math.abs(getLastVisitDelta(market) ?? 0) >= LAST_VISIT_MIN_DELTA)
+    : [];
+  const rowChanges = new Map(filteredMarkets.map((market, index) => [market.id, getRowChange(changeSnapshot, market, index)]));
+  const unavailableWatchlist = watchlist.filter(entry => !markets.some(market => market.id === entry.id));
+  const streamBadge = STREAM_STATUS[streamStatus] || STREAM_STATUS.closed;
+  const eventGroups = viewMode === 'events' ? groupMarketsByEvent(filteredMarkets, sortMode, sortDirection, sourceMarkets) : [];
+
+  // Clicking a column header sorts by it; clicking it again flips the direction
+  const handleColumnSort = (column) => {
+    if (sortMode === column) {
+      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortMode(column);
+      setSortDirection(getDefaultSortDirection(column));
+    }
+  };
+
+  const selectRankingMode = (mode) => {
+    setSortMode(mode);
+    setSortDirection(null);
+  };
+
+  const selectedMarket = markets.find(market => market.id === selectedMarketId) || null;
+  const marketsById = new Map(markets.map(market => [market.id, market]));
+
+  // Stream the displayed rows' primary tokens, plus every outcome of the open detail view
+  const streamedTokenKey = [...new Set([
+    ...filteredMarkets.map(market => market.primaryTokenId),
+    ...(selectedMarket?.tokens.map(token => token.tokenId) || [])
+  ].filter(Boolean))].sort().join(',');
+
+  // Order books for the displayed rows, refreshed with each data refresh (not during replays)
+  const bookTokenKey = replay ? '' : [...new Set(filteredMarkets.map(market => market.primaryTokenId).filter(Boolean))].sort().join(',');
+
+  useEffect(() => {
+    if (!bookTokenKey) return undefined;
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      const books = await polymarketApi.fetchOrderBooks(bookTokenKey.split(','));
+      if (cancelled) return;
+      const summaries = Object.fromEntries(Object.entries(books).map(([tokenId, book]) => [tokenId, summarizeOrderBook(book)]));
+      setOrderBooks(prev => ({ ...prev, ...summaries }));
+    }, BOOK_FETCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [bookTokenKey, lastUpdated]);
+
+  useEffect(() => {
+    localStorage.setItem('showBookColumns', String(showBookColumns));
+  }, [showBookColumns]);
+
+  // Large trades for the displayed rows, polled with each data refresh (not during replays)
+  const tradeMarketKey = replay ? '' : [...new Set(filteredMarkets.map(market => market.id))].sort().join(',');
+
+  useEffect(() => {
+    if (!tradeMarketKey) return undefined;
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      const { trades, coverage } = await polymarketApi.fetchTrades(tradeMarketKey.split(','), { minUsd: largeTradeUsd });
+      if (cancelled) return;
+      setLargeTrades(prev => mergeTrades(prev, trades));
+      setTradeCoverage(prev => ({ ...prev, ...coverage }));
+    }, TRADE_FETCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [tradeMarketKey, lastUpdated, largeTradeUsd]);
+
+  // Recategorize the loaded markets in place; the next fetch uses the new rules too
+  const changeCategoryMappings = (mappings) => {
+    categoryMappingsRef.current = mappings;
+    saveCategoryMappings(mappings);
+    setCategoryMappings(mappings);
+    setMarkets(prev => applyCategoryMappings(prev, mappings));
+    setEditingCategories(false);
+  };
+
+  // Coverage was measured at the old threshold, so moves stay unexplained until the refetch lands
+  const changeLargeTradeUsd = (minUsd) => {
+    largeTradeUsdRef.current = minUsd;
+    saveLargeTradeUsd(minUsd);
+    setLargeTradeUsd(minUsd);
+    setTradeCoverage({});
+  };
+
+  useEffect(() => {
+    localStorage.setItem('liveStream', liveEnabled ? 'on' : 'off');
+    marketStream.setAssets(liveEnabled && streamedTokenKey ? streamedTokenKey.split(',') : []);
+  }, [liveEnabled, streamedTokenKey]);
+  const closeMarketDetail = useCallback(() => setSelectedMarketId(null), []);
+
+  const isLoadingMore = Boolean(loadProgress && !loadProgress.done);
+
   const getThemeClasses = () => ({
     pageBackground: 'bg-gray-50 dark:bg-gray-900',
     cardBackground: 'bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700',
@@ -119,6 +830,43 @@ const Dashboard = () => {
 
   const theme = getThemeClasses();
 
+  const sortHeaderProps = { sortBy: sortMode, sortDirection, onSort: handleColumnSort, theme };
+
+  // Rank movement since the previous refresh, or a NEW badge for rows that just entered the list
+  const renderRankChange = (change) => {
+    if (change.isNew) {
+      return <div className="mt-1 text-[10px] font-bold text-blue-600 dark:text-blue-400">NEW</div>;
+    }
+    if (change.rankDelta > 0) {
+      return (
+        <div className={`mt-1 flex items-center text-[10px] font-medium ${theme.priceGreen}`} title={`Up ${change.rankDelta} since last refresh`}>
+          <ArrowUp className="h-3 w-3" />{change.rankDelta}
+        </div>
+      );
+    }
+    if (change.rankDelta < 0) {
+      return (
+        <div className={`mt-1 flex items-center text-[10px] font-medium ${theme.priceRed}`} title={`Down ${-change.rankDelta} since last refresh`}>
+          <ArrowDown className="h-3 w-3" />{-change.rankDelta}
+        </div>
+      );
+    }
+    return null;
+  };
+
+  // Show where a search matched when it wasn't in the question itself
+  const renderSearchSnippet = (market) => {
+    const snippet = marketAnalyzer.getSearchSnippet(market, searchQuery);
+    if (!snippet) return null;
+
+    const fieldLabels = { description: 'Description', eventTitle: 'Event', tags: 'Tags' };
+    return (
+      <div className={`text-xs mt-1 max-w-md ${theme.mutedText}`}>
+        {fieldLabels[snippet.field]}: <HighlightText text={snippet.text} query={searchQuery} />
+      </div>
+    );
+  };
+
   if (loading) {
     return (
       <div className={`min-h-screen flex items-center justify-center border ${theme.borderColor} ${theme.pageBackground}`}>
@@ -159,30 +907,154 @@ const Dashboard = () => {
               
               <button
                 onClick={fetchMarketData}
-                disabled={loading}
+                disabled={loading || isLoadingMore || isRefreshing}
                 className={`flex items-center space-x-2 px-4 py-2 rounded-lg disabled:opacity-50 transition-all duration-300 border ${theme.primaryButton} shadow-lg`}
               >
-                <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                <RefreshCw className={`h-4 w-4 ${loading || isLoadingMore || isRefreshing ? 'animate-spin' : ''}`} />
                 <span className="font-medium">Refresh</span>
               </button>
             </div>
           </div>
           
           <p className={`mb-4 ${theme.secondaryText}`}>
-            Prediction markets ranked by 24-hour price movement, so you know what's breaking.
+            Prediction markets ranked by {activeWindow.longLabel} price movement, so you know what's breaking.
           </p>
+
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <span className={`text-sm font-medium ${theme.secondaryText}`}>Movement window:</span>
+            {Object.values(MOVEMENT_WINDOWS).map(option => (
+              <button
+                key={option.key}
+                onClick={() => changeMovementWindow(option.key)}
+                disabled={isLoadingMore}
+                className={`px-3 py-1 rounded-full text-sm font-medium transition-all duration-300 border disabled:opacity-50 ${
+                  movementWindow === option.key ? theme.primaryButton : theme.secondaryButton
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+            {windowLoading && (
+              <RefreshCw className={`h-4 w-4 animate-spin ${theme.mutedText}`} />
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <span className={`text-sm font-medium ${theme.secondaryText}`}>Rank by:</span>
+            {Object.entries(SORT_MODES).map(([key, mode]) => (
+              <button
+                key={key}
+                onClick={() => selectRankingMode(key)}
+                title={mode.description}
+                className={`px-3 py-1 rounded-full text-sm font-medium transition-all duration-300 border ${
+                  sortMode === key ? theme.primaryButton : theme.secondaryButton
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <span className={`text-sm font-medium ${theme.secondaryText}`}>View:</span>
+            {[['markets', 'Markets'], ['events', 'Grouped by event'], ['watchlist', `Watchlist (${watchlist.length})`]].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setViewMode(key)}
+                className={`px-3 py-1 rounded-full text-sm font-medium transition-all duration-300 border ${
+                  viewMode === key ? theme.primaryButton : theme.secondaryButton
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+            <button
+              onClick={() => (replay ? setReplay(null) : startReplay())}
+              disabled={replayLoading || markets.length === 0}
+              className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium transition-all duration-300 border disabled:opacity-50 ${
+                replay ? theme.primaryButton : theme.secondaryButton
+              }`}
+              title="Replay past rankings"
+            >
+              <History className={`h-4 w-4 ${replayLoading ? 'animate-spin' : ''}`} />
+              {replayLoading ? 'Loading history…' : 'Replay'}
+            </button>
+          </div>
           
           {lastUpdated && (
-            <div className="flex items-center justify-between">
-              <p className={`text-sm ${theme.mutedText}`}>
-                Last updated: {lastUpdated.toLocaleTimeString()}
-              </p>
-              <div className={`px-3 py-1 rounded-full text-xs font-medium ${theme.successStatus}`}>
-                🟢 Live Data
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="flex flex-wrap items-center gap-3">
+                <p className={`text-sm ${theme.mutedText}`}>
+                  Last updated: {lastUpdated.toLocaleTimeString()}
+                  {isRefreshing && ' · refreshing…'}
+                </p>
+                <label className={`flex items-center gap-2 text-sm ${theme.mutedText}`}>
+                  Auto-refresh
+                  <select
+                    value={refreshMinutes}
+                    onChange={(event) => setRefreshMinutes(parseInt(event.target.value, 10))}
+                    className={`rounded border px-2 py-0.5 text-sm bg-transparent ${theme.borderColor} ${theme.primaryText}`}
+                  >
+                    {REFRESH_INTERVALS.map(minutes => (
+                      <option key={minutes} value={minutes}>
+                        {minutes === 0 ? 'Off' : `Every ${minutes} min`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <button onClick={handleExportHistory} className={`text-sm underline ${theme.mutedText}`}>
+                  Export history
+                </button>
+              </div>
+              <div className="flex items-center gap-3">
+                <label className={`flex items-center gap-2 text-sm ${theme.mutedText}`}>
+                  <input
+                    type="checkbox"
+                    checked={liveEnabled}
+                    onChange={(event) => setLiveEnabled(event.target.checked)}
+                    className="accent-blue-600"
+                  />
+                  Live prices
+                </label>
+                {liveEnabled ? (
+                  <div className={`px-3 py-1 rounded-full text-xs font-medium ${theme[streamBadge.style]}`}>
+                    {streamBadge.label}
+                  </div>
+                ) : (
+                  <div className={`px-3 py-1 rounded-full text-xs font-medium ${theme.successStatus}`}>
+                    🟢 Live Data
+                  </div>
+                )}
               </div>
             </div>
           )}
           
+          {lastVisit && !replay && (
+            <div className={`mt-3 flex flex-wrap items-center justify-between gap-2 px-4 py-2 rounded-lg text-sm ${theme.warningStatus}`}>
+              <span>
+                Since you last looked ({formatDistanceToNow(lastVisit.takenAt, { addSuffix: true })}):{' '}
+                {lastVisitMovers.length === 0
+                  ? 'no displayed market has moved.'
+                  : `${lastVisitMovers.length} displayed ${lastVisitMovers.length === 1 ? 'market has' : 'markets have'} moved at least ${formatMovement(LAST_VISIT_MIN_DELTA)}.`}
+              </span>
+              <button onClick={() => setLastVisit(null)} className="underline">Dismiss</button>
+            </div>
+          )}
+
+          {isLoadingMore && (
+            <p className={`text-sm ${theme.mutedText}`}>
+              Loading more markets… {loadProgress.markets} markets from {loadProgress.events} events (page {loadProgress.page})
+            </p>
+          )}
+
+          {staleSince && (
+            <div className={`mt-3 px-4 py-2 rounded-lg text-sm ${theme.warningStatus}`}>
+              Stale since {staleSince.toLocaleTimeString()} ({formatDistanceToNow(staleSince, { addSuffix: true })}):
+              Polymarket could not be reached, so the last good data is shown.
+              {refreshMinutes > 0 ? ' It will be retried on the next refresh.' : ' Refresh to try again.'}
+            </div>
+          )}
+
           {error && (
             <div className={`mt-4 p-4 border rounded-lg ${theme.errorStatus}`}>
               <p className="text-sm">{error}</p>
@@ -190,10 +1062,45 @@ const Dashboard = () => {
           )}
         </div>
 
+        {replay && (
+          <ReplayBar
+            replay={replay}
+            windowLabel={activeWindow.longLabel}
+            onSeek={seekReplay}
+            onTogglePlay={() => setReplay(prev => ({ ...prev, playing: !prev.playing, at: prev.at >= prev.end ? prev.start : prev.at }))}
+            onSpeedChange={(speed) => setReplay(prev => ({ ...prev, speed }))}
+            onExit={() => setReplay(null)}
+            theme={theme}
+          />
+        )}
+
+        <FilterPanel
+          filters={filters}
+          onChange={setFilters}
+          theme={theme}
+          volumeLabel={activeWindow.volumeLabel}
+        />
+
+        <AlertsPanel
+          rules={alertRules}
+          log={alertLog}
+          categories={categories}
+          markets={filteredMarkets}
+          onChangeRules={setAlertRules}
+          onClearLog={() => setAlertLog([])}
+          onSelectMarket={setSelectedMarketId}
+          theme={theme}
+        />
+
         <div className={`rounded-lg shadow-md p-6 mb-6 border ${theme.cardBackground}`}>
-          <h2 className={`text-lg font-semibold mb-4 ${theme.primaryText}`}>Filter by Category</h2>
+          <div className="flex items-center justify-between gap-2 mb-4">
+            <h2 className={`text-lg font-semibold ${theme.primaryText}`}>Filter by Category</h2>
+            <button onClick={() => setEditingCategories(!editingCategories)} className={`text-sm underline ${theme.mutedText}`}>
+              {editingCategories ? 'Close rules' : 'Edit category rules'}
+            </button>
+          </div>
           <div className="flex flex-wrap gap-2">
-            {categories.map(category => (
+            {[{ key: 'all', count: passingMarkets.length }, ...visibleCategories].map(({ key: category, count }) => (
               <button
                 key={category}
                 onClick={() => setSelectedCategory(category)}
@@ -203,89 +1110,318 @@ const Dashboard = () => {
                     : theme.secondaryButton + ' hover:scale-105'
                 }`}
               >
-                {category === 'all' ? 'All Categories' : category.charAt(0).toUpperCase() + category.slice(1)} 
+                {getCategoryLabel(category)} 
                 <span className={`ml-1 ${selectedCategory === category ? 'text-white' : 'text-gray-600 dark:text-gray-400'}`}>
-                  ({category === 'all' ? markets.length : markets.filter(m => m.category === category).length})
+                  ({count})
                 </span>
               </button>
             ))}
+            {selectedCategory !== 'all' && !categories.includes(selectedCategory) && (
+              <button
+                onClick={() => setSelectedCategory(selectedCategory)}
+                className={`px-4 py-2 rounded-full text-sm font-medium border ${theme.primaryButton} shadow-lg transform scale-105`}
+              >
+                {getCategoryLabel(selectedCategory)} <span className="ml-1 text-white">(0)</span>
+              </button>
+            )}
+            {categoryList.length > VISIBLE_CATEGORIES && (
+              <button onClick={() => setShowAllCategories(!showAllCategories)} className={`px-2 text-sm underline ${theme.mutedText}`}>
+                {showAllCategories ? 'Show fewer' : `Show all ${categoryList.length}`}
+              </button>
+            )}
           </div>
+          {editingCategories && (
+            <CategoryEditor
+              mappings={categoryMappings}
+              onSave={changeCategoryMappings}
+              onCancel={() => setEditingCategories(false)}
+              theme={theme}
+            />
+          )}
         </div>
 
-        <div className={`rounded-lg shadow-md overflow-hidden border ${theme.cardBackground}`}>
-          <div className="overflow-x-auto">
-            <table className="min-w-full border-collapse">
-              <thead className={`${theme.tableHeader}`}>
-                <tr className={`border-b ${theme.borderColor}`}>
-                  <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`}>
-                    Question
-                  </th>
-                  <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`}>
-                    Category
-                  </th>
-                  <th className={`px-6 py-3 text-center text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`}>
-                    Current Price
-                  </th>
-                  <th className={`px-6 py-3 text-center text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`}>
-                    24h High
-                  </th>
-                  <th className={`px-6 py-3 text-center text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`}>
-                    24h Low
-                  </th>
-                  <th className={`px-6 py-3 text-center text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`}>
-                    Movement
-                  </th>
-                  <th className={`px-6 py-3 text-center text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`}>
-                    24h Volume
-                  </th>
-                </tr>
-              </thead>
-              <tbody className={`${theme.tableBody}`}>
-                {filteredMarkets.map((market, index) => (
-                  <tr 
-                    key={market.id} 
-                    className={`border-b ${theme.borderColor} ${
-                      index % 2 === 0 ? theme.tableRowEven : theme.tableRowOdd
-                    } ${theme.tableRow}`}
+        <div className="flex flex-col xl:flex-row xl:items-start gap-6">
+          <div className={`flex-1 min-w-0 rounded-lg shadow-md overflow-hidden border ${theme.cardBackground}`}>
+            <div className={`flex items-center gap-3 px-6 py-3 border-b ${theme.borderColor}`}>
+              <Search className={`h-4 w-4 ${theme.mutedText}`} />
+              <input
+                type="search"
+                value={searchQuery}
+                onChange={(event) => setSearchQuery(event.target.value)}
+                placeholder="Search questions, descriptions, events and tags…"
+                className={`flex-1 bg-transparent text-sm outline-none ${theme.primaryText}`}
+              />
+              {searchQuery && (
+                <>
+                  <span className={`text-xs ${theme.mutedText}`}>{passingMarkets.length} matches</span>
+                  <button onClick={() => setSearchQuery('')} className={theme.mutedText} title="Clear search">
+                    <X className="h-4 w-4" />
+                  </button>
+                </>
+              )}
+              <label className={`flex items-center gap-2 text-sm whitespace-nowrap ${theme.mutedText}`}>
+                <input
+                  type="checkbox"
+                  checked={showBookColumns}
+                  onChange={(event) => setShowBookColumns(event.target.checked)}
+                  className="accent-blue-600"
+                />
+                Order book
+              </label>
+              <div className="relative">
+                <button
+                  onClick={() => setExportMenuOpen(!exportMenuOpen)}
+                  disabled={filteredMarkets.length === 0}
+                  className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm border disabled:opacity-50 ${theme.secondaryButton}`}
+                >
+                  <Download size={14} />
+                  Export view
+                </button>
+                {exportMenuOpen && (
+                  <div className={`absolute right-0 mt-1 z-10 w-40 rounded-lg shadow-lg border py-1 ${theme.cardBackground}`}>
+                    {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                      <button
+                        key={format}
+                        onClick={() => handleExportView(format)}
+                        className={`block w-full text-left px-4 py-2 text-sm ${theme.primaryText} ${theme.tableRow}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+            {viewMode === 'watchlist' && (
+              <div className={`flex flex-wrap items-center justify-between gap-3 px-6 py-3 border-b ${theme.borderColor}`}>
+                <p className={`text-sm ${theme.secondaryText}`}>
+                  Watchlisted markets are always shown here, regardless of filters.
+                  {!loading && !isLoadingMore && unavailableWatchlist.length > 0 && (
+                    <span className={theme.mutedText}> {unavailableWatchlist.length} could not be loaded (closed or unavailable).</span>
+                  )}
+                </p>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={handleExportWatchlist}
+                    disabled={watchlist.length === 0}
+                    className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm border disabled:opacity-50 ${theme.secondaryButton}`}
                   >
-                    <td className={`px-6 py-4 ${theme.cellBorder}`}>
-                      <div className={`text-sm font-medium max-w-md ${theme.primaryText}`}>
-                        {market.question}
-                      </div>
-                    </td>
-                    <td className={`px-6 py-4 ${theme.cellBorder}`}>
-                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${theme.categoryTag}`}>
-                        {market.category}
-                      </span>
-                    </td>
-                    <td className={`px-6 py-4 text-center text-sm font-medium ${theme.cellBorder} ${theme.primaryText}`}>
-                      {formatPrice(market.currentPrice)}
-                    </td>
-                    <td className={`px-6 py-4 text-center text-sm font-medium ${theme.cellBorder} ${theme.priceGreen}`}>
-                      {formatPrice(market.high)}
-                    </td>
-                    <td className={`px-6 py-4 text-center text-sm font-medium ${theme.cellBorder} ${theme.priceRed}`}>
-                      {formatPrice(market.low)}
-                    </td>
-                    <td className={`px-6 py-4 text-center text-sm font-medium ${theme.cellBorder} ${theme.priceOrange}`}>
-                      {formatMovement(market.movement)}
-                    </td>
-                    <td className={`px-6 py-4 text-center text-sm ${theme.cellBorder} ${theme.secondaryText}`}>
-                      {formatVolume(market.volume24h)}
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-          
-          {filteredMarkets.length === 0 && (
-            <div className="text-center py-8">
-              <p className={theme.mutedText}>No markets found for the selected category.</p>
+                    <Download size={14} />
+                    Export
+                  </button>
+                  <button
+                    onClick={() => watchlistFileRef.current?.click()}
+                    className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm border ${theme.secondaryButton}`}
+                  >
+                    <Upload size={14} />
+                    Import
+                  </button>
+                  <input
+                    ref={watchlistFileRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleImportWatchlist}
+                    className="hidden"
+                  />
+                </div>
+              </div>
+            )}
+            <div className="overflow-x-auto">
+              {viewMode === 'events' ? (
+                <EventGroupTable
+                  groups={eventGroups}
+                  theme={theme}
+                  volumeLabel={activeWindow.volumeLabel}
+                  searchQuery={searchQuery}
+                  onSelectMarket={setSelectedMarketId}
+                />
+              ) : (
+                <table className="min-w-full border-collapse">
+                  <thead className={`${theme.tableHeader}`}>
+                    <tr className={`border-b ${theme.borderColor}`}>
+                      <th className={`pl-4 py-3 ${theme.cellBorder}`}>
+                        <span className="sr-only">Watchlist</span>
+                      </th>
+                      <SortableHeader column="question" label="Question" align="left" {...sortHeaderProps} />
+                      <SortableHeader column="category" label="Category" align="left" {...sortHeaderProps} />
+                      <SortableHeader column="currentPrice" label="Current Price" {...sortHeaderProps} />
+                      <th className={`px-6 py-3 text-center text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`}>
+                        {activeWindow.label} Trend
+                      </th>
+                      <SortableHeader column="high" label={`${activeWindow.label} High`} {...sortHeaderProps} />
+                      <SortableHeader column="low" label={`${activeWindow.label} Low`} {...sortHeaderProps} />
+                      <SortableHeader column="netChange" label="Net Change" {...sortHeaderProps} />
+                      <SortableHeader column="movement" label="Movement" {...sortHeaderProps} />
+                      <SortableHeader column="volume" label={`${activeWindow.volumeLabel} Volume`} {...sortHeaderProps} />
+                      {showBookColumns && (
+                        <>
+                          <th className={`px-6 py-3 text-center text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`}>Bid / Ask</th>
+                          <SortableHeader column="spread" label="Spread" {...sortHeaderProps} />
+                          <SortableHeader column="depth" label={`Depth ±${formatMovement(DEPTH_BAND)}`} {...sortHeaderProps} />
+                        </>
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody className={`${theme.tableBody}`}>
+                    {filteredMarkets.map((market, index) => (
+                      <tr 
+                        key={market.id} 
+                        onClick={() => setSelectedMarketId(market.id)}
+                        className={`border-b cursor-pointer ${theme.borderColor} ${
+                          index % 2 === 0 ? theme.tableRowEven : theme.tableRowOdd
+                        } ${theme.tableRow} ${
+                          highlightChanges && rowChanges.get(market.id).priceDelta !== 0 ? 'animate-row-flash' : ''
+                        }`}
+                      >
+                        <td className={`pl-4 py-4 ${theme.cellBorder}`}>
+                          <button
+                            onClick={(event) => {
+                              event.stopPropagation();
+                              toggleWatchlist(market);
+                            }}
+                            title={watchedIds.has(market.id) ? 'Remove from watchlist' : 'Add to watchlist'}
+                            className={watchedIds.has(market.id) ? 'text-yellow-500' : theme.mutedText}
+                          >
+                            <Star className="h-4 w-4" fill={watchedIds.has(market.id) ? 'currentColor' : 'none'} />
+                          </button>
+                          {renderRankChange(rowChanges.get(market.id))}
+                        </td>
+                        <td className={`px-6 py-4 ${theme.cellBorder}`}>
+                          <div className={`text-sm font-medium max-w-md ${theme.primaryText}`}>
+                            <HighlightText text={market.question} query={searchQuery} />
+                          </div>
+                          {searchQuery && renderSearchSnippet(market)}
+                        </td>
+                        <td className={`px-6 py-4 ${theme.cellBorder}`}>
+                          <div className="flex flex-wrap gap-1">
+                            {getMarketCategories(market).map(category => (
+                              <span key={category} className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${theme.categoryTag}`}>
+                                {category}
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                        <td className={`px-6 py-4 text-center text-sm font-medium ${theme.cellBorder} ${theme.primaryText}`}>
+                          {formatPrice(market.currentPrice)}
+                          {Math.abs(getLastVisitDelta(market) ?? 0) >= LAST_VISIT_MIN_DELTA && (
+                            <div className={`text-xs font-normal ${marketAnalyzer.getNetChangeColor(getLastVisitDelta(market))}`} title="Since you last looked">
+                              {formatNetChange(getLastVisitDelta(market))} since last visit
+                            </div>
+                          )}
+                        </td>
+                        <td className={`px-6 py-4 ${theme.cellBorder}`}>
+                          <div className="flex justify-center">
+                            <Sparkline
+                              tokenId={market.primaryTokenId}
+                              windowKey={market.window}
+                              currentPrice={market.currentPrice}
+                              theme={theme}
+                            />
+                          </div>
+                        </td>
+                        <td className={`px-6 py-4 text-center text-sm font-medium ${theme.cellBorder} ${theme.priceGreen}`}>
+                          {formatPrice(market.high)}
+                        </td>
+                        <td className={`px-6 py-4 text-center text-sm font-medium ${theme.cellBorder} ${theme.priceRed}`}>
+                          {formatPrice(market.low)}
+                        </td>
+                        <td className={`px-6 py-4 text-center text-sm font-medium ${theme.cellBorder} ${marketAnalyzer.getNetChangeColor(market.netChange)}`}>
+                          <div className="flex items-center justify-center gap-1">
+                            {market.hasPriceData && market.netChange > 0 && <TrendingUp className="h-4 w-4" />}
+                            {market.hasPriceData && market.netChange < 0 && <TrendingDown className="h-4 w-4" />}
+                            {market.hasPriceData && market.netChange === 0 && <Minus className="h-4 w-4" />}
+                            <span>{formatNetChange(market.netChange)}</span>
+                          </div>
+                          {market.hasPriceData && (
+                            <div className="text-xs opacity-75">{formatPercent(market.netChangePercent)}</div>
+                          )}
+                        </td>
+                        <td className={`px-6 py-4 text-center text-sm font-medium ${theme.cellBorder} ${market.hasPriceData ? theme.priceOrange : theme.mutedText}`}>
+                          {formatMovement(market.movement)}
+                          {market.hasPriceData && (
+                            <div className="text-xs opacity-75">{market.movementPercent.toFixed(1)}% of low</div>
+                          )}
+                          {market.isWideSpread && (
+                            <div
+                              className={`mt-1 inline-block px-1.5 rounded text-[10px] font-semibold ${theme.warningStatus}`}
+                              title={`Spread ${formatPrice(market.spread)}: the midpoint can bounce between bid and ask, so this movement may not reflect real trading`}
+                            >
+                              WIDE SPREAD
+                            </div>
+                          )}
+                          {market.moveSource && (
+                            <div
+                              className={`mt-1 mx-0.5 inline-block px-1.5 rounded text-[10px] font-semibold ${market.moveSource.type === 'with-size' ? theme.categoryTag : theme.secondaryButton}`}
+                              title={describeMoveSource(market.moveSource, largeTradeUsd)}
+                            >
+                              {MOVE_SOURCES[market.moveSource.type].label}
+                            </div>
+                          )}
+                          {sortMode === 'unusual' && typeof market.unusualScore === 'number' && (
+                            <div
+                              className={`text-xs font-semibold ${theme.primaryText}`}
+                              title={`Typical ${activeWindow.label} noise: ${market.volatility.toFixed(2)} log-odds · volume/liquidity confidence: ${Math.round(market.confidence * 100)}%`}
+                            >
+                              Unusual: {market.unusualScore.toFixed(1)}
+                            </div>
+                          )}
+                        </td>
+                        <td className={`px-6 py-4 text-center text-sm ${theme.cellBorder} ${theme.secondaryText}`}>
+                          {formatVolume(market.volume)}
+                        </td>
+                        {showBookColumns && (
+                          <>
+                            <td className={`px-6 py-4 text-center text-sm whitespace-nowrap ${theme.cellBorder} ${theme.secondaryText}`}>
+                              {formatPrice(market.bestBid)} / {formatPrice(market.bestAsk)}
+                            </td>
+                            <td className={`px-6 py-4 text-center text-sm ${theme.cellBorder} ${market.isWideSpread ? theme.priceOrange : theme.secondaryText}`}>
+                              {formatPrice(market.spread)}
+                            </td>
+                            <td className={`px-6 py-4 text-center text-sm ${theme.cellBorder} ${theme.secondaryText}`}>
+                              {typeof market.depth === 'number' ? formatVolume(market.depth) : '—'}
+                            </td>
+                          </>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
             </div>
-          )}
+          
+            {filteredMarkets.length === 0 && (
+              <div className="text-center py-8">
+                <p className={theme.mutedText}>
+                  {viewMode === 'watchlist'
+                    ? 'Your watchlist is empty. Star a market to pin it here.'
+                    : 'No markets match the selected category and filters.'}
+                  {viewMode !== 'watchlist' && markets.length > passingMarkets.length && ` ${markets.length - passingMarkets.length} markets are hidden by the filters.`}
+                </p>
+              </div>
+            )}
+          </div>
+
+          <LargeTradesFeed
+            trades={largeTrades}
+            minUsd={largeTradeUsd}
+            onChangeMinUsd={changeLargeTradeUsd}
+            marketsById={marketsById}
+            isLive={liveEnabled && streamStatus === 'open'}
+            onSelectMarket={setSelectedMarketId}
+            theme={theme}
+          />
         </div>
       </div>
+
+      {selectedMarket && (
+        <MarketDetail
+          market={selectedMarket}
+          initialWindow={movementWindow}
+          largeTradeUsd={largeTradeUsd}
+          theme={theme}
+          onClose={closeMarketDetail}
+        />
+      )}
     </div>
   );
 };
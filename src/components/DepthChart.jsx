@@ -0,0 +1,89 @@
+import React from 'react';
+import { formatPrice, formatMovement, formatVolume } from '../utils/formatters';
+import { DEPTH_BAND } from '../utils/marketAnalyzer';
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 22, left: 10 };
+// Price range shown either side of the midpoint
+const VIEW_RANGE = 0.1;
+
+// Running dollar total from the best level outwards, stopping at the edge of the chart
+const accumulate = (levels, withinRange) => {
+  let total = 0;
+  return levels.filter(level => withinRange(level.price)).map(level => {
+    total += level.price * level.size;
+    return { price: level.price, total };
+  });
+};
+
+// Cumulative bid/ask depth around the midpoint, with the DEPTH_BAND range shaded
+const DepthChart = ({ book, summary, theme }) => {
+  if (!book || summary.midpoint === null) {
+    return <p className={`text-sm ${theme.mutedText}`}>No two-sided order book for this outcome.</p>;
+  }
+
+  const { midpoint } = summary;
+  const low = Math.max(0, midpoint - VIEW_RANGE);
+  const high = Math.min(1, midpoint + VIEW_RANGE);
+  const bids = accumulate(book.bids, price => price >= low);
+  const asks = accumulate(book.asks, price => price <= high);
+  const maxTotal = Math.max(1, ...bids.map(level => level.total), ...asks.map(level => level.total));
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (price) => PADDING.left + ((price - low) / (high - low)) * innerWidth;
+  const y = (total) => PADDING.top + (1 - total / maxTotal) * innerHeight;
+  const baseline = PADDING.top + innerHeight;
+
+  // Step outline from the best price outwards, closed down to the baseline
+  const stepArea = (levels, edge) => {
+    if (levels.length === 0) return '';
+    let path = `M ${x(levels[0].price)} ${baseline}`;
+    let previousY = baseline;
+    for (const level of levels) {
+      path += ` L ${x(level.price)} ${previousY} L ${x(level.price)} ${y(level.total)}`;
+      previousY = y(level.total);
+    }
+    return `${path} L ${x(edge)} ${previousY} L ${x(edge)} ${baseline} Z`;
+  };
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        <rect
+          x={x(Math.max(low, midpoint - DEPTH_BAND))}
+          y={PADDING.top}
+          width={x(Math.min(high, midpoint + DEPTH_BAND)) - x(Math.max(low, midpoint - DEPTH_BAND))}
+          height={innerHeight}
+          className="fill-gray-200 dark:fill-gray-700"
+          opacity="0.6"
+        />
+        <path d={stepArea(bids, low)} className="fill-green-500/30 stroke-green-600 dark:stroke-green-400" strokeWidth="1.5" />
+        <path d={stepArea(asks, high)} className="fill-red-500/30 stroke-red-600 dark:stroke-red-400" strokeWidth="1.5" />
+        <line x1={x(midpoint)} x2={x(midpoint)} y1={PADDING.top} y2={baseline} className="stroke-gray-400" strokeDasharray="3 3" />
+        {[low, midpoint, high].map(price => (
+          <text
+            key={price}
+            x={x(price)}
+            y={HEIGHT - 6}
+            textAnchor={price === low ? 'start' : price === high ? 'end' : 'middle'}
+            className="fill-gray-500 dark:fill-gray-400 text-[11px]"
+          >
+            {formatPrice(price)}
+          </text>
+        ))}
+        <text x={PADDING.left} y={PADDING.top + 10} className="fill-gray-500 dark:fill-gray-400 text-[11px]">
+          {formatVolume(maxTotal)}
+        </text>
+      </svg>
+      <div className={`flex flex-wrap justify-between gap-2 text-xs mt-1 ${theme.mutedText}`}>
+        <span>Bid {formatPrice(summary.bestBid)} · {formatVolume(summary.bidDepth)} within {formatMovement(DEPTH_BAND)}</span>
+        <span>Spread {formatPrice(summary.spread)}</span>
+        <span>Ask {formatPrice(summary.bestAsk)} · {formatVolume(summary.askDepth)} within {formatMovement(DEPTH_BAND)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default DepthChart;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import marketAnalyzer from '../utils/marketAnalyzer';
+import { formatPrice, formatMovement, formatNetChange, formatVolume } from '../utils/formatters';
+import HighlightText from './HighlightText';
+
+const COLLAPSED_OUTCOMES = 5;
+
+// Movers table grouped by parent event, one block per event with its outcome markets nested below
+const EventGroupTable = ({ groups, theme, volumeLabel, searchQuery, onSelectMarket }) => {
+  const [expanded, setExpanded] = useState({});
+
+  const toggle = (groupId) => {
+    setExpanded(prev => ({ ...prev, [groupId]: !prev[groupId] }));
+  };
+
+  const headerCell = `px-6 py-3 text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`;
+
+  return (
+    <table className="min-w-full border-collapse">
+      <thead className={`${theme.tableHeader}`}>
+        <tr className={`border-b ${theme.borderColor}`}>
+          <th className={`${headerCell} text-left`}>Event / Outcome</th>
+          <th className={`${headerCell} text-center`}>Price</th>
+          <th className={`${headerCell} text-center`}>Net Change</th>
+          <th className={`${headerCell} text-center`}>Movement</th>
+          <th className={`${headerCell} text-center`}>{volumeLabel} Volume</th>
+        </tr>
+      </thead>
+      <tbody className={`${theme.tableBody}`}>
+        {groups.map(group => {
+          const isExpanded = Boolean(expanded[group.id]);
+          const visibleMarkets = isExpanded ? group.markets : group.markets.slice(0, COLLAPSED_OUTCOMES);
+          const hiddenCount = group.markets.length - visibleMarkets.length;
+          const mover = group.biggestMover;
+
+          return (
+            <React.Fragment key={group.id}>
+              <tr className={`border-b ${theme.borderColor} ${theme.tableRowOdd}`}>
+                <td className={`px-6 py-3 ${theme.cellBorder}`}>
+                  <div className={`text-sm font-semibold ${theme.primaryText}`}>
+                    <HighlightText text={group.title} query={searchQuery} />
+                  </div>
+                  <div className={`text-xs mt-1 flex flex-wrap gap-x-4 gap-y-1 ${theme.mutedText}`}>
+                    <span>{group.markets.length} {group.markets.length === 1 ? 'market' : 'markets'}</span>
+                    <span>
+                      Implied total: {(group.totalProbability * 100).toFixed(1)}%
+                      {group.overround !== null && (
+                        <span className={group.overround > 0 ? theme.priceOrange : ''}>
+                          {' '}(overround {group.overround > 0 ? '+' : ''}{(group.overround * 100).toFixed(1)}%)
+                        </span>
+                      )}
+                    </span>
+                    {mover?.hasPriceData && group.markets.length > 1 && (
+                      <span>
+                        Biggest mover: {mover.outcomeLabel || mover.question}{' '}
+                        <span className={marketAnalyzer.getNetChangeColor(mover.netChange)}>{formatNetChange(mover.netChange)}</span>
+                      </span>
+                    )}
+                  </div>
+                </td>
+                <td className={`px-6 py-3 ${theme.cellBorder}`}></td>
+                <td className={`px-6 py-3 text-center text-sm font-medium ${theme.cellBorder} ${marketAnalyzer.getNetChangeColor(mover?.netChange)}`}>
+                  {mover && formatNetChange(mover.netChange)}
+                </td>
+                <td className={`px-6 py-3 text-center text-sm font-medium ${theme.cellBorder} ${mover?.hasPriceData ? theme.priceOrange : theme.mutedText}`}>
+                  {mover && formatMovement(mover.movement)}
+                </td>
+                <td className={`px-6 py-3 text-center text-sm ${theme.cellBorder} ${theme.secondaryText}`}>
+                  {formatVolume(group.volume)}
+                </td>
+              </tr>
+
+              {visibleMarkets.map(market => (
+                <tr
+                  key={market.id}
+                  onClick={() => onSelectMarket(market.id)}
+                  className={`border-b cursor-pointer ${theme.borderColor} ${theme.tableRowEven} ${theme.tableRow}`}
+                >
+                  <td className={`pl-10 pr-6 py-2 ${theme.cellBorder}`}>
+                    <div className={`text-sm max-w-md ${theme.primaryText}`}>
+                      <HighlightText text={market.outcomeLabel || market.question} query={searchQuery} />
+                    </div>
+                  </td>
+                  <td className={`px-6 py-2 text-center text-sm font-medium ${theme.cellBorder} ${theme.primaryText}`}>
+                    {formatPrice(market.currentPrice)}
+                  </td>
+                  <td className={`px-6 py-2 text-center text-sm ${theme.cellBorder} ${marketAnalyzer.getNetChangeColor(market.netChange)}`}>
+                    {formatNetChange(market.netChange)}
+                  </td>
+                  <td className={`px-6 py-2 text-center text-sm ${theme.cellBorder} ${market.hasPriceData ? theme.priceOrange : theme.mutedText}`}>
+                    {formatMovement(market.movement)}
+                  </td>
+                  <td className={`px-6 py-2 text-center text-sm ${theme.cellBorder} ${theme.secondaryText}`}>
+                    {formatVolume(market.volume)}
+                  </td>
+                </tr>
+              ))}
+
+              {(hiddenCount > 0 || (isExpanded && group.markets.length > COLLAPSED_OUTCOMES)) && (
+                <tr className={`border-b ${theme.borderColor} ${theme.tableRowEven}`}>
+                  <td colSpan={5} className={`pl-10 py-2 ${theme.cellBorder}`}>
+                    <button
+                      onClick={() => toggle(group.id)}
+                      className={`flex items-center gap-1 text-xs font-medium ${theme.secondaryText}`}
+                    >
+                      {isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                      {isExpanded ? 'Show fewer outcomes' : `Show ${hiddenCount} more outcomes`}
+                    </button>
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+export default EventGroupTable;
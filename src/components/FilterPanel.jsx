@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, RotateCcw } from 'lucide-react';
+import { DEFAULT_FILTERS, FILTER_BOUNDS, clampFilter } from '../utils/marketAnalyzer';
+
+// Slider plus number input bound to one numeric filter, within its FILTER_BOUNDS. Typed values apply
+// once they are numbers inside the bounds; on blur the text is clamped or reverted if it isn't a number.
+const RangeField = ({ label, filter, value, step, onChange, format, theme }) => {
+  const [draft, setDraft] = useState(null);
+  const { min, max } = FILTER_BOUNDS[filter];
+
+  const handleInput = (text) => {
+    setDraft(text);
+    const number = parseFloat(text);
+    if (Number.isFinite(number) && number >= min && number <= max) onChange(number);
+  };
+
+  const handleBlur = () => {
+    const number = parseFloat(draft);
+    if (draft !== null && Number.isFinite(number)) onChange(clampFilter(filter, number));
+    setDraft(null);
+  };
+
+  return (
+    <label className="block">
+      <div className={`flex items-center justify-between text-sm mb-1 ${theme.secondaryText}`}>
+        <span>{label}</span>
+        <span className={`font-medium ${theme.primaryText}`}>{format(value)}</span>
+      </div>
+      <div className="flex items-center gap-3">
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={value}
+          onChange={(event) => onChange(parseFloat(event.target.value))}
+          className="flex-1 accent-blue-600"
+        />
+        <input
+          type="number"
+          min={min}
+          max={max}
+          step={step}
+          value={draft ?? value}
+          onChange={(event) => handleInput(event.target.value)}
+          onBlur={handleBlur}
+          className={`w-24 px-2 py-1 rounded border text-sm bg-transparent ${theme.borderColor} ${theme.primaryText}`}
+        />
+      </div>
+    </label>
+  );
+};
+
+// Filter controls driving MarketAnalyzer.filterAndSortMarkets
+const FilterPanel = ({ filters, onChange, theme, volumeLabel }) => {
+  const update = (key) => (value) => onChange({ ...filters, [key]: value });
+  // Moving one end of the price band past the other pushes it along, so the band never inverts
+  const updatePriceBand = (key) => (value) => onChange({
+    ...filters,
+    [key]: value,
+    ...(key === 'minPrice' ? { maxPrice: Math.max(value, filters.maxPrice) } : { minPrice: Math.min(value, filters.minPrice) })
+  });
+
+  const cents = (value) => `${(value * 100).toFixed(1)}¢`;
+  const dollars = (value) => `$${Number(value).toLocaleString()}`;
+
+  return (
+    <div className={`rounded-lg shadow-md p-6 mb-6 border ${theme.cardBackground}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className={`text-lg font-semibold flex items-center gap-2 ${theme.primaryText}`}>
+          <SlidersHorizontal size={18} />
+          Filters
+        </h2>
+        <button
+          onClick={() => onChange(DEFAULT_FILTERS)}
+          className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm border ${theme.secondaryButton}`}
+        >
+          <RotateCcw size={14} />
+          Reset
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        <RangeField
+          label={`Minimum ${volumeLabel} volume`}
+          filter="minimumVolume"
+          value={filters.minimumVolume}
+          step={50}
+          format={dollars}
+          onChange={update('minimumVolume')}
+          theme={theme}
+        />
+        <RangeField
+          label="Minimum liquidity"
+          filter="minimumLiquidity"
+          value={filters.minimumLiquidity}
+          step={100}
+          format={dollars}
+          onChange={update('minimumLiquidity')}
+          theme={theme}
+        />
+        <RangeField
+          label="Minimum movement"
+          filter="minimumMovement"
+          value={filters.minimumMovement}
+          step={0.005}
+          format={cents}
+          onChange={update('minimumMovement')}
+          theme={theme}
+        />
+        <RangeField
+          label="Price at least"
+          filter="minPrice"
+          value={filters.minPrice}
+          step={0.01}
+          format={cents}
+          onChange={updatePriceBand('minPrice')}
+          theme={theme}
+        />
+        <RangeField
+          label="Price at most"
+          filter="maxPrice"
+          value={filters.maxPrice}
+          step={0.01}
+          format={cents}
+          onChange={updatePriceBand('maxPrice')}
+          theme={theme}
+        />
+        <RangeField
+          label="Result limit"
+          filter="limit"
+          value={filters.limit}
+          step={10}
+          format={(value) => `${value} markets`}
+          onChange={update('limit')}
+          theme={theme}
+        />
+        <div>
+          <label className={`flex items-center gap-2 text-sm mb-2 ${theme.secondaryText}`}>
+            <input
+              type="checkbox"
+              checked={filters.excludeResolvingSoon}
+              onChange={(event) => update('excludeResolvingSoon')(event.target.checked)}
+              className="accent-blue-600"
+            />
+            Exclude markets resolving soon
+          </label>
+          {filters.excludeResolvingSoon && (
+            <RangeField
+              label="Resolving within"
+              filter="resolvingSoonHours"
+              value={filters.resolvingSoonHours}
+              step={1}
+              format={(value) => `${value}h`}
+              onChange={update('resolvingSoonHours')}
+              theme={theme}
+            />
+          )}
+        </div>
+        <RangeField
+          label="Resolves within at most"
+          filter="maxDaysToResolution"
+          value={filters.maxDaysToResolution}
+          step={1}
+          format={(value) => (value > 0 ? `${value} days` : 'Any time')}
+          onChange={update('maxDaysToResolution')}
+          theme={theme}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default FilterPanel;
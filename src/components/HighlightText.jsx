@@ -0,0 +1,19 @@
+import React from 'react';
+import { getSearchTerms } from '../utils/marketAnalyzer';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Render `text` with every search term wrapped in <mark>
+const HighlightText = ({ text, query }) => {
+  const terms = getSearchTerms(query);
+  if (!text || terms.length === 0) return text || null;
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern).map((part, index) => (
+    index % 2 === 1
+      ? <mark key={index} className="bg-yellow-200 dark:bg-yellow-600 dark:text-white rounded px-0.5">{part}</mark>
+      : <React.Fragment key={index}>{part}</React.Fragment>
+  ));
+};
+
+export default HighlightText;
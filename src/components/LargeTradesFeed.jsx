@@ -0,0 +1,76 @@
+import React from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { formatPrice, formatVolume } from '../utils/formatters';
+
+const FEED_PREVIEW = 50;
+
+// Sidebar of the latest trades at or above `minUsd` across the displayed markets
+const LargeTradesFeed = ({ trades, minUsd, onChangeMinUsd, marketsById, isLive, onSelectMarket, theme }) => {
+  const largeTrades = trades.filter(trade => trade.usd >= minUsd).slice(0, FEED_PREVIEW);
+
+  return (
+    <aside className={`rounded-lg shadow-md p-4 border xl:w-80 xl:shrink-0 xl:sticky xl:top-4 xl:max-h-[calc(100vh-2rem)] xl:overflow-y-auto ${theme.cardBackground}`}>
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <h2 className={`text-lg font-semibold ${theme.primaryText}`}>Large trades</h2>
+        <label className={`flex items-center gap-1 text-sm ${theme.mutedText}`}>
+          $
+          <input
+            type="number"
+            min={100}
+            step={100}
+            value={minUsd}
+            onChange={(event) => {
+              const value = parseFloat(event.target.value);
+              if (value > 0) onChangeMinUsd(value);
+            }}
+            className={`w-24 rounded border px-2 py-0.5 text-sm bg-transparent ${theme.borderColor} ${theme.primaryText}`}
+          />
+          +
+        </label>
+      </div>
+      <p className={`text-xs mb-3 ${theme.mutedText}`}>
+        Fills of {formatVolume(minUsd)} or more in the displayed markets{isLive ? ', updating live' : ''}.
+      </p>
+
+      {largeTrades.length === 0 ? (
+        <p className={`text-sm ${theme.mutedText}`}>No large trades yet.</p>
+      ) : (
+        <ul className={`divide-y ${theme.borderColor}`}>
+          {largeTrades.map(trade => {
+            const market = marketsById.get(trade.conditionId);
+            const outcome = trade.outcome || market?.tokens.find(token => token.tokenId === trade.tokenId)?.outcome;
+            return (
+              <li key={`${trade.tokenId}:${trade.timestamp}:${trade.size}:${trade.side}`} className={`py-2 text-sm ${theme.borderColor}`}>
+                <div className="flex items-center justify-between gap-2">
+                  <span className="flex items-center gap-2">
+                    <span className={`px-1.5 rounded text-[10px] font-bold ${trade.side === 'BUY' ? theme.successStatus : theme.errorStatus}`}>
+                      {trade.side}
+                    </span>
+                    <span className={`font-semibold ${theme.primaryText}`}>{formatVolume(trade.usd)}</span>
+                  </span>
+                  <span className={`text-xs ${theme.mutedText}`}>
+                    {trade.source === 'live' && '● '}
+                    {formatDistanceToNow(new Date(trade.timestamp), { addSuffix: true })}
+                  </span>
+                </div>
+                <button
+                  onClick={() => market && onSelectMarket(market.id)}
+                  disabled={!market}
+                  className={`block text-left mt-1 ${theme.secondaryText}`}
+                >
+                  {market?.question || trade.title || 'Unknown market'}
+                </button>
+                <div className={`text-xs ${theme.mutedText}`}>
+                  {outcome || 'Outcome'} @ {formatPrice(trade.price)}
+                  {trade.trader && ` · ${trade.trader}`}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </aside>
+  );
+};
+
+export default LargeTradesFeed;
@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import { X, ExternalLink } from 'lucide-react';
+import polymarketApi from '../services/polymarketApi';
+import marketStream from '../services/marketStream';
+import { getMarketUrl, summarizeOrderBook } from '../utils/marketAnalyzer';
+import { MOVEMENT_WINDOWS, getHistoryOptions } from '../utils/movementWindows';
+import { mergeTrades } from '../utils/trades';
+import { getMarketCategories, getCategoryLabel } from '../utils/categories';
+import { formatPrice, formatVolume } from '../utils/formatters';
+import PriceChart from './PriceChart';
+import DepthChart from './DepthChart';
+
+const RECENT_TRADES = 50;
+
+const OUTCOME_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+const getTagLabel = (tag) => (typeof tag === 'string' ? tag : tag?.label || tag?.slug || '');
+
+// Slide-over panel with the full details and price chart for one market
+const MarketDetail = ({ market, initialWindow, largeTradeUsd, theme, onClose }) => {
+  const [chartWindow, setChartWindow] = useState(initialWindow);
+  const [histories, setHistories] = useState({});
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [book, setBook] = useState(null);
+  const [bookError, setBookError] = useState(null);
+  const [trades, setTrades] = useState(null);
+  const [tradesError, setTradesError] = useState(null);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const tokenKey = market.tokens.map(token => token.tokenId).filter(Boolean).join(',');
+
+  // Load history for every outcome token in the chart window
+  useEffect(() => {
+    let cancelled = false;
+    const tokenIds = tokenKey ? tokenKey.split(',') : [];
+
+    setLoadingHistory(true);
+    polymarketApi.fetchPriceHistories(tokenIds, getHistoryOptions(chartWindow))
+      .then(result => {
+        if (!cancelled) setHistories(result);
+      })
+      .catch(err => {
+        console.error('🚨 MarketDetail: Error loading price history:', err);
+        if (!cancelled) setHistories({});
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingHistory(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tokenKey, chartWindow]);
+
+  // Order book for the primary outcome
+  useEffect(() => {
+    // Drop the previous outcome's book so it isn't shown under the new one while loading
+    setBook(null);
+    setBookError(null);
+    if (!market.primaryTokenId) return undefined;
+    let cancelled = false;
+
+    polymarketApi.fetchOrderBook(market.primaryTokenId)
+      .then(result => {
+        if (!cancelled) setBook(result);
+      })
+      .catch(err => {
+        console.error('🚨 MarketDetail: Error loading order book:', err);
+        if (!cancelled) setBookError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [market.primaryTokenId]);
+
+  // Recent trades of any size, with live fills added as the stream reports them
+  useEffect(() => {
+    let cancelled = false;
+
+    setTrades(null);
+    setTradesError(null);
+    polymarketApi.fetchTrades([market.id], { limit: RECENT_TRADES })
+      .then(result => {
+        if (cancelled) return;
+        if (!(market.id in result.coverage)) {
+          setTradesError('the trades API did not respond');
+          return;
+        }
+        setTrades(prev => mergeTrades(prev || [], result.trades, RECENT_TRADES));
+      });
+
+    const unsubscribe = marketStream.onTrade(trade => {
+      if (trade.conditionId !== market.id) return;
+      setTrades(prev => mergeTrades(prev || [], [trade], RECENT_TRADES));
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [market.id]);
+
+  const bookSummary = book ? summarizeOrderBook(book) : null;
+
+  const series = market.tokens.map((token, index) => ({
+    label: token.outcome,
+    color: OUTCOME_COLORS[index % OUTCOME_COLORS.length],
+    points: (token.tokenId && histories[token.tokenId]) || []
+  }));
+
+  const marketUrl = getMarketUrl(market);
+  const tags = (market.tags || []).map(getTagLabel).filter(Boolean);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose}></div>
+
+      <aside className={`relative z-50 h-full w-full max-w-2xl overflow-y-auto border-l shadow-xl p-6 ${theme.cardBackground}`}>
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <div>
+            {market.eventTitle && market.eventTitle !== market.question && (
+              <p className={`text-sm mb-1 ${theme.mutedText}`}>{market.eventTitle}</p>
+            )}
+            <h2 className={`text-xl font-semibold ${theme.primaryText}`}>{market.question}</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg border ${theme.secondaryButton}`}
+            title="Close"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          {Object.values(MOVEMENT_WINDOWS).map(option => (
+            <button
+              key={option.key}
+              onClick={() => setChartWindow(option.key)}
+              className={`px-3 py-1 rounded-full text-xs font-medium transition-all duration-300 border ${
+                chartWindow === option.key ? theme.primaryButton : theme.secondaryButton
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          {loadingHistory && <span className={`text-xs ${theme.mutedText}`}>Loading…</span>}
+        </div>
+
+        <div className={`rounded-lg border mb-2 ${theme.borderColor}`}>
+          <PriceChart key={chartWindow} series={series} theme={theme} />
+        </div>
+        <p className={`text-xs mb-6 ${theme.mutedText}`}>Drag across the chart to zoom, double-click to reset.</p>
+
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          {market.tokens.map((token, index) => (
+            <div key={token.outcome} className={`rounded-lg border p-3 ${theme.borderColor}`}>
+              <div className={`flex items-center gap-2 text-sm ${theme.secondaryText}`}>
+                <span className="inline-block h-2 w-2 rounded-full" style={{ backgroundColor: OUTCOME_COLORS[index % OUTCOME_COLORS.length] }}></span>
+                {token.outcome}
+              </div>
+              <div className={`text-lg font-semibold ${theme.primaryText}`}>{formatPrice(token.price)}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mb-6">
+          <h3 className={`text-sm font-semibold mb-2 ${theme.primaryText}`}>
+            Order book{market.outcomeLabel ? ` · ${market.outcomeLabel}` : ''}
+          </h3>
+          {bookError && <p className={`text-sm ${theme.mutedText}`}>Order book unavailable: {bookError}</p>}
+          {!bookError && !book && <p className={`text-sm ${theme.mutedText}`}>Loading…</p>}
+          {book && (
+            <>
+              {bookSummary.isWideSpread && (
+                <p className={`text-xs mb-2 px-2 py-1 rounded ${theme.warningStatus}`}>
+                  Wide spread: the midpoint can bounce between bid and ask, so movement here may not reflect real trading.
+                </p>
+              )}
+              <DepthChart book={book} summary={bookSummary} theme={theme} />
+            </>
+          )}
+        </div>
+
+        <div className="mb-6">
+          <h3 className={`text-sm font-semibold mb-2 ${theme.primaryText}`}>Recent trades</h3>
+          {tradesError && !trades && <p className={`text-sm ${theme.mutedText}`}>Trades unavailable: {tradesError}</p>}
+          {!tradesError && !trades && <p className={`text-sm ${theme.mutedText}`}>Loading…</p>}
+          {trades && trades.length === 0 && <p className={`text-sm ${theme.mutedText}`}>No recent trades.</p>}
+          {trades && trades.length > 0 && (
+            <div className={`max-h-72 overflow-y-auto rounded-lg border ${theme.borderColor}`}>
+              <table className="min-w-full text-xs">
+                <thead className={theme.tableHeader}>
+                  <tr className={theme.mutedText}>
+                    <th className="px-3 py-2 text-left font-medium">Time</th>
+                    <th className="px-3 py-2 text-left font-medium">Side</th>
+                    <th className="px-3 py-2 text-right font-medium">Price</th>
+                    <th className="px-3 py-2 text-right font-medium">Value</th>
+                    <th className="px-3 py-2 text-left font-medium">Trader</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trades.map(trade => {
+                    const isLarge = trade.usd >= largeTradeUsd;
+                    const outcome = trade.outcome || market.tokens.find(token => token.tokenId === trade.tokenId)?.outcome;
+                    return (
+                      <tr
+                        key={`${trade.tokenId}:${trade.timestamp}:${trade.size}:${trade.side}`}
+                        className={`border-t ${theme.borderColor} ${isLarge ? `font-semibold ${theme.primaryText}` : theme.secondaryText}`}
+                        title={isLarge ? `At least ${formatVolume(largeTradeUsd)}` : undefined}
+                      >
+                        <td className="px-3 py-1.5 whitespace-nowrap">{new Date(trade.timestamp).toLocaleTimeString()}</td>
+                        <td className={`px-3 py-1.5 whitespace-nowrap ${trade.side === 'BUY' ? theme.priceGreen : theme.priceRed}`}>
+                          {trade.side} {outcome}
+                        </td>
+                        <td className="px-3 py-1.5 text-right">{formatPrice(trade.price)}</td>
+                        <td className="px-3 py-1.5 text-right whitespace-nowrap">
+                          {isLarge && '🐋 '}{formatVolume(trade.usd)}
+                        </td>
+                        <td className="px-3 py-1.5 truncate max-w-[10rem]">{trade.trader || (trade.source === 'live' ? 'live' : '—')}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <dl className="grid grid-cols-2 gap-x-4 gap-y-3 mb-6 text-sm">
+          <div>
+            <dt className={theme.mutedText}>End date</dt>
+            <dd className={theme.primaryText}>{market.endDate ? new Date(market.endDate).toLocaleString() : '—'}</dd>
+          </div>
+          <div>
+            <dt className={theme.mutedText}>{getMarketCategories(market).length > 1 ? 'Categories' : 'Category'}</dt>
+            <dd className={theme.primaryText}>{getMarketCategories(market).map(getCategoryLabel).join(', ')}</dd>
+          </div>
+          <div>
+            <dt className={theme.mutedText}>24h volume</dt>
+            <dd className={theme.primaryText}>{formatVolume(market.volume24h)}</dd>
+          </div>
+          <div>
+            <dt className={theme.mutedText}>Total volume</dt>
+            <dd className={theme.primaryText}>{formatVolume(market.volumeTotal)}</dd>
+          </div>
+          <div>
+            <dt className={theme.mutedText}>Liquidity</dt>
+            <dd className={theme.primaryText}>{formatVolume(market.liquidity)}</dd>
+          </div>
+        </dl>
+
+        {tags.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-6">
+            {tags.map(tag => (
+              <span key={tag} className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${theme.categoryTag}`}>
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {market.description && (
+          <div className="mb-6">
+            <h3 className={`text-sm font-semibold mb-2 ${theme.primaryText}`}>Description</h3>
+            <p className={`text-sm whitespace-pre-line ${theme.secondaryText}`}>{market.description}</p>
+          </div>
+        )}
+
+        {marketUrl && (
+          <a
+            href={marketUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className={`inline-flex items-center gap-2 px-4 py-2 rounded-lg border ${theme.primaryButton}`}
+          >
+            <ExternalLink size={16} />
+            <span className="font-medium">View on Polymarket</span>
+          </a>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default MarketDetail;
@@ -0,0 +1,199 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+const PADDING = { top: 12, right: 16, bottom: 28, left: 44 };
+
+// Index of the point closest in time to `time` (points sorted by time)
+const findNearestIndex = (points, time) => {
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (points[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo > 0 && Math.abs(points[lo - 1].time - time) < Math.abs(points[lo].time - time)) {
+    return lo - 1;
+  }
+  return lo;
+};
+
+const formatTick = (time, span) => {
+  const date = new Date(time);
+  if (span <= 2 * 24 * 60 * 60 * 1000) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+// Interactive multi-series price chart.
+// `series` is [{ label, color, points: [{ timestamp, price }] }]. Hovering shows each
+// series' value at the nearest point; dragging across the plot zooms into that range
+// and double-clicking resets the zoom.
+const PriceChart = ({ series, height = 260, theme }) => {
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(600);
+  const [hoverTime, setHoverTime] = useState(null);
+  const [dragStart, setDragStart] = useState(null);
+  const [dragEnd, setDragEnd] = useState(null);
+  const [zoom, setZoom] = useState(null);
+
+  // Track container width so the SVG stays crisp at any size
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+
+    const observer = new ResizeObserver(entries => {
+      const nextWidth = Math.floor(entries[0].contentRect.width);
+      if (nextWidth > 0) setWidth(nextWidth);
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const prepared = series.map(s => ({
+    ...s,
+    points: s.points
+      .map(p => ({ time: new Date(p.timestamp).getTime(), price: p.price }))
+      .sort((a, b) => a.time - b.time)
+  })).filter(s => s.points.length > 0);
+
+  if (prepared.length === 0) {
+    return (
+      <div ref={containerRef} className={`flex items-center justify-center text-sm ${theme.mutedText}`} style={{ height }}>
+        No price history available for this window.
+      </div>
+    );
+  }
+
+  const allTimes = prepared.flatMap(s => s.points.map(p => p.time));
+  const minTime = zoom ? zoom[0] : Math.min(...allTimes);
+  const maxTime = zoom ? zoom[1] : Math.max(...allTimes);
+  const timeSpan = Math.max(1, maxTime - minTime);
+
+  const visible = prepared.map(s => ({
+    ...s,
+    points: s.points.filter(p => p.time >= minTime && p.time <= maxTime)
+  }));
+  const visiblePrices = visible.flatMap(s => s.points.map(p => p.price));
+  const rawMin = visiblePrices.length ? Math.min(...visiblePrices) : 0;
+  const rawMax = visiblePrices.length ? Math.max(...visiblePrices) : 1;
+  const pad = Math.max(0.01, (rawMax - rawMin) * 0.1);
+  const minPrice = Math.max(0, rawMin - pad);
+  const maxPrice = Math.min(1, rawMax + pad);
+  const priceSpan = Math.max(0.0001, maxPrice - minPrice);
+
+  const plotWidth = Math.max(1, width - PADDING.left - PADDING.right);
+  const plotHeight = Math.max(1, height - PADDING.top - PADDING.bottom);
+  const x = (time) => PADDING.left + ((time - minTime) / timeSpan) * plotWidth;
+  const y = (price) => PADDING.top + (1 - (price - minPrice) / priceSpan) * plotHeight;
+  const timeAt = (clientX) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const ratio = (clientX - rect.left - PADDING.left) / plotWidth;
+    return minTime + Math.max(0, Math.min(1, ratio)) * timeSpan;
+  };
+
+  const handleMouseMove = (event) => {
+    const time = timeAt(event.clientX);
+    setHoverTime(time);
+    if (dragStart !== null) setDragEnd(time);
+  };
+
+  const handleMouseUp = () => {
+    if (dragStart !== null && dragEnd !== null) {
+      const [start, end] = [Math.min(dragStart, dragEnd), Math.max(dragStart, dragEnd)];
+      // Ignore clicks and tiny drags
+      if ((end - start) / timeSpan > 0.02) setZoom([start, end]);
+    }
+    setDragStart(null);
+    setDragEnd(null);
+  };
+
+  const yTicks = Array.from({ length: 5 }, (_, i) => minPrice + (priceSpan * i) / 4);
+  const xTicks = Array.from({ length: 5 }, (_, i) => minTime + (timeSpan * i) / 4);
+
+  const hoverValues = hoverTime === null ? [] : visible
+    .filter(s => s.points.length > 0)
+    .map(s => ({ label: s.label, color: s.color, point: s.points[findNearestIndex(s.points, hoverTime)] }));
+
+  return (
+    <div ref={containerRef} className="relative select-none">
+      <svg
+        width={width}
+        height={height}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => { setHoverTime(null); setDragStart(null); setDragEnd(null); }}
+        onMouseDown={(event) => setDragStart(timeAt(event.clientX))}
+        onMouseUp={handleMouseUp}
+        onDoubleClick={() => setZoom(null)}
+        className="cursor-crosshair"
+      >
+        {yTicks.map(tick => (
+          <g key={`y-${tick}`}>
+            <line x1={PADDING.left} x2={width - PADDING.right} y1={y(tick)} y2={y(tick)} className="stroke-gray-200 dark:stroke-gray-700" />
+            <text x={PADDING.left - 6} y={y(tick) + 4} textAnchor="end" className="fill-gray-500 dark:fill-gray-400 text-[10px]">
+              {(tick * 100).toFixed(0)}¢
+            </text>
+          </g>
+        ))}
+        {xTicks.map(tick => (
+          <text key={`x-${tick}`} x={x(tick)} y={height - 8} textAnchor="middle" className="fill-gray-500 dark:fill-gray-400 text-[10px]">
+            {formatTick(tick, timeSpan)}
+          </text>
+        ))}
+
+        {visible.map(s => (
+          <polyline
+            key={s.label}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="1.75"
+            strokeLinejoin="round"
+            points={s.points.map(p => `${x(p.time)},${y(p.price)}`).join(' ')}
+          />
+        ))}
+
+        {dragStart !== null && dragEnd !== null && (
+          <rect
+            x={x(Math.min(dragStart, dragEnd))}
+            y={PADDING.top}
+            width={Math.abs(x(dragEnd) - x(dragStart))}
+            height={plotHeight}
+            className="fill-blue-500/20"
+          />
+        )}
+
+        {hoverValues.length > 0 && (
+          <g pointerEvents="none">
+            <line x1={x(hoverTime)} x2={x(hoverTime)} y1={PADDING.top} y2={PADDING.top + plotHeight} className="stroke-gray-400 dark:stroke-gray-500" strokeDasharray="3 3" />
+            {hoverValues.map(({ label, color, point }) => (
+              <circle key={label} cx={x(point.time)} cy={y(point.price)} r="3.5" fill={color} />
+            ))}
+          </g>
+        )}
+      </svg>
+
+      {hoverValues.length > 0 && (
+        <div className={`absolute top-2 right-4 rounded-md border px-2 py-1 text-xs shadow pointer-events-none ${theme.cardBackground}`}>
+          <div className={theme.mutedText}>{new Date(hoverValues[0].point.time).toLocaleString()}</div>
+          {hoverValues.map(({ label, color, point }) => (
+            <div key={label} className={`flex items-center gap-2 ${theme.primaryText}`}>
+              <span className="inline-block h-2 w-2 rounded-full" style={{ backgroundColor: color }}></span>
+              {label}: {(point.price * 100).toFixed(1)}¢
+            </div>
+          ))}
+        </div>
+      )}
+
+      {zoom && (
+        <button
+          onClick={() => setZoom(null)}
+          className={`absolute top-2 left-12 px-2 py-0.5 rounded text-xs border ${theme.secondaryButton}`}
+        >
+          Reset zoom
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PriceChart;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Play, Pause, SkipBack, X } from 'lucide-react';
+
+const REPLAY_SPEEDS = [1, 4, 12];
+
+// Timeline scrubber for replaying past mover rankings
+const ReplayBar = ({ replay, windowLabel, onSeek, onTogglePlay, onSpeedChange, onExit, theme }) => {
+  const { start, end, at, step, playing, speed, markets } = replay;
+
+  return (
+    <div className={`rounded-lg shadow-md p-4 mb-6 border ${theme.cardBackground}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className={`text-sm ${theme.secondaryText}`}>
+          <span className={`font-semibold ${theme.primaryText}`}>Replay</span>
+          {' · '}{windowLabel} rankings as of{' '}
+          <span className={`font-medium ${theme.primaryText}`}>{new Date(at).toLocaleString()}</span>
+          {' · '}{markets.length} highest-volume markets
+        </div>
+        <button
+          onClick={onExit}
+          className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm border ${theme.secondaryButton}`}
+        >
+          <X size={14} />
+          Back to live
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button onClick={() => onSeek(start)} className={theme.mutedText} title="Jump to start">
+          <SkipBack size={18} />
+        </button>
+        <button
+          onClick={onTogglePlay}
+          className={`flex items-center justify-center h-8 w-8 rounded-full border ${theme.primaryButton}`}
+          title={playing ? 'Pause' : 'Play forward'}
+        >
+          {playing ? <Pause size={16} /> : <Play size={16} />}
+        </button>
+        <input
+          type="range"
+          min={start}
+          max={end}
+          step={step}
+          value={at}
+          onChange={(event) => onSeek(Number(event.target.value))}
+          className="flex-1 accent-blue-600"
+        />
+        <select
+          value={speed}
+          onChange={(event) => onSpeedChange(parseInt(event.target.value, 10))}
+          className={`rounded border px-2 py-0.5 text-sm bg-transparent ${theme.borderColor} ${theme.primaryText}`}
+        >
+          {REPLAY_SPEEDS.map(option => (
+            <option key={option} value={option}>{option}×</option>
+          ))}
+        </select>
+      </div>
+      <div className={`flex justify-between text-xs mt-1 ${theme.mutedText}`}>
+        <span>{new Date(start).toLocaleString()}</span>
+        <span>{new Date(end).toLocaleString()}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayBar;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, ArrowUpDown } from 'lucide-react';
+
+// Table header cell that sorts by `column` on click and shows the active direction
+const SortableHeader = ({ column, label, align = 'center', sortBy, sortDirection, onSort, theme }) => {
+  const isActive = sortBy === column;
+  const Icon = !isActive ? ArrowUpDown : sortDirection === 'asc' ? ArrowUp : ArrowDown;
+
+  return (
+    <th
+      className={`px-6 py-3 text-${align} text-xs font-medium uppercase tracking-wider ${theme.cellBorder} ${theme.mutedText}`}
+      aria-sort={isActive ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <button
+        onClick={() => onSort(column)}
+        className={`inline-flex items-center gap-1 uppercase tracking-wider ${isActive ? theme.primaryText : ''}`}
+      >
+        {label}
+        <Icon className={`h-3 w-3 ${isActive ? '' : 'opacity-40'}`} />
+      </button>
+    </th>
+  );
+};
+
+export default SortableHeader;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useRef } from 'react';
+import polymarketApi from '../services/polymarketApi';
+import { trimHistory } from '../utils/marketAnalyzer';
+import { getMovementWindow, getHistoryOptions } from '../utils/movementWindows';
+
+const WIDTH = 96;
+const HEIGHT = 28;
+const MAX_POINTS = 60;
+
+// One IntersectionObserver shared by every sparkline in the table
+const visibilityCallbacks = new Map();
+let sharedObserver = null;
+
+const observeVisibility = (element, onVisible) => {
+  if (typeof IntersectionObserver === 'undefined') {
+    onVisible();
+    return () => {};
+  }
+
+  if (!sharedObserver) {
+    sharedObserver = new IntersectionObserver(entries => {
+      for (const entry of entries) {
+        if (entry.isIntersecting) {
+          visibilityCallbacks.get(entry.target)?.();
+        }
+      }
+    }, { rootMargin: '200px' });
+  }
+
+  visibilityCallbacks.set(element, onVisible);
+  sharedObserver.observe(element);
+  return () => {
+    visibilityCallbacks.delete(element);
+    sharedObserver.unobserve(element);
+  };
+};
+
+// Keep every nth point plus the last, so long windows stay cheap to draw
+const downsample = (points) => {
+  if (points.length <= MAX_POINTS) return points;
+  const step = Math.ceil(points.length / MAX_POINTS);
+  const sampled = points.filter((_, index) => index % step === 0);
+  if (sampled[sampled.length - 1] !== points[points.length - 1]) {
+    sampled.push(points[points.length - 1]);
+  }
+  return sampled;
+};
+
+// Small price path for a table row, marking the window's high and low.
+// Renders only once the row scrolls into view and reads from the shared history cache.
+const Sparkline = ({ tokenId, windowKey, currentPrice, theme }) => {
+  const containerRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element || isVisible) return undefined;
+
+    let stop = () => {};
+    stop = observeVisibility(element, () => {
+      setIsVisible(true);
+      stop();
+    });
+    return () => stop();
+  }, [isVisible]);
+
+  useEffect(() => {
+    if (!isVisible || !tokenId) return undefined;
+
+    let cancelled = false;
+    const options = getHistoryOptions(windowKey);
+    const cached = polymarketApi.getCachedPriceHistory(tokenId, options);
+
+    if (cached) {
+      setHistory(cached);
+    } else {
+      polymarketApi.fetchPriceHistory(tokenId, options)
+        .then(result => {
+          if (!cancelled) setHistory(result);
+        })
+        .catch(() => {
+          if (!cancelled) setHistory([]);
+        });
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isVisible, tokenId, windowKey]);
+
+  const points = history
+    ? downsample([
+      ...trimHistory(history, getMovementWindow(windowKey).hours),
+      ...(history.length > 0 ? [{ timestamp: new Date().toISOString(), price: currentPrice }] : [])
+    ])
+    : [];
+
+  if (points.length < 2) {
+    return (
+      <div ref={containerRef} className={`text-xs ${theme.mutedText}`} style={{ width: WIDTH, height: HEIGHT }}>
+        {history && '—'}
+      </div>
+    );
+  }
+
+  const prices = points.map(point => point.price);
+  const high = Math.max(...prices);
+  const low = Math.min(...prices);
+  const range = Math.max(0.0001, high - low);
+  const x = (index) => 2 + (index / (points.length - 1)) * (WIDTH - 4);
+  const y = (price) => 3 + (1 - (price - low) / range) * (HEIGHT - 6);
+  const highIndex = prices.indexOf(high);
+  const lowIndex = prices.indexOf(low);
+
+  return (
+    <div ref={containerRef} style={{ width: WIDTH, height: HEIGHT }}>
+      <svg width={WIDTH} height={HEIGHT} className="overflow-visible">
+        <polyline
+          fill="none"
+          strokeWidth="1.25"
+          strokeLinejoin="round"
+          className="stroke-blue-500 dark:stroke-blue-400"
+          points={points.map((point, index) => `${x(index)},${y(point.price)}`).join(' ')}
+        />
+        <circle cx={x(highIndex)} cy={y(high)} r="2" className="fill-green-600 dark:fill-green-400" />
+        <circle cx={x(lowIndex)} cy={y(low)} r="2" className="fill-red-600 dark:fill-red-400" />
+      </svg>
+    </div>
+  );
+};
+
+export default Sparkline;
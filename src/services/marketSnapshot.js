@@ -0,0 +1,61 @@
+// Point-in-time capture of the Dashboard's processed markets, for the CLI and the daily digest.
+// A snapshot file is { version, capturedAt, window, periodHours, markets, resolved }: `markets` are
+// processRealMarketData rows (without descriptions) and `resolved` are processResolvedMarkets rows
+// for markets closed in the `periodHours` before capture. Rendering from a file needs no network.
+import { processRealMarketData, processResolvedMarkets, getPrimaryTokenIds } from '../utils/marketAnalyzer.js';
+import { DEFAULT_WINDOW, getHistoryOptions } from '../utils/movementWindows.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fetch and process markets as the Dashboard does: events by 24h volume, then the
+// primary token's price history for the window
+export async function fetchProcessedMarkets(api, { window = DEFAULT_WINDOW, maxEvents, categoryMappings } = {}) {
+  const markets = await api.fetchMarkets({ maxEvents });
+  const histories = await api.fetchPriceHistories(getPrimaryTokenIds(markets), getHistoryOptions(window));
+  return processRealMarketData(markets, histories, { window, categoryMappings });
+}
+
+export async function captureSnapshot(api, { window = DEFAULT_WINDOW, maxEvents, categoryMappings, periodHours = 24 } = {}) {
+  const capturedAt = new Date();
+  const markets = await fetchProcessedMarkets(api, { window, maxEvents, categoryMappings });
+  const resolved = await api.fetchResolvedMarkets({ since: new Date(capturedAt.getTime() - periodHours * HOUR_MS) });
+
+  return {
+    version: SNAPSHOT_VERSION,
+    capturedAt: capturedAt.toISOString(),
+    window,
+    periodHours,
+    // Descriptions are most of the size and nothing downstream reads them
+    markets: markets.map(market => ({ ...market, description: undefined })),
+    resolved: processResolvedMarkets(resolved, { categoryMappings })
+  };
+}
+
+// Parse a snapshot file's text, throwing a readable error for anything else
+export function parseSnapshot(text) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Snapshot is not valid JSON: ${error.message}`);
+  }
+
+  if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.markets)) {
+    throw new Error('Not a Polymotion snapshot: expected a "markets" array');
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+  if (Number.isNaN(new Date(snapshot.capturedAt).getTime())) {
+    throw new Error('Snapshot has no valid "capturedAt" time');
+  }
+
+  return {
+    ...snapshot,
+    window: snapshot.window || DEFAULT_WINDOW,
+    periodHours: snapshot.periodHours || 24,
+    resolved: Array.isArray(snapshot.resolved) ? snapshot.resolved : []
+  };
+}
@@ -0,0 +1,291 @@
+// Real-time prices from Polymarket's CLOB WebSocket market channel.
+// Point VITE_CLOB_WS_URL at a local mock server to develop or test without the live feed;
+// the constructor also accepts `url` and `WebSocketImpl` directly.
+const CLOB_WS_URL = import.meta.env?.VITE_CLOB_WS_URL || 'wss://ws-subscriptions-clob.polymarket.com/ws/market';
+
+// Above this spread the midpoint is meaningless, so the last trade is shown instead (as polymarket.com does)
+const MAX_MIDPOINT_SPREAD = 0.1;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+export class MarketStream {
+  constructor(options = {}) {
+    const {
+      url = CLOB_WS_URL,
+      WebSocketImpl = globalThis.WebSocket,
+      minBackoff = 1000,
+      maxBackoff = 30000,
+      pingInterval = 10000
+    } = options;
+
+    this.url = url;
+    this.WebSocketImpl = WebSocketImpl;
+    this.minBackoff = minBackoff;
+    this.maxBackoff = maxBackoff;
+    this.pingInterval = pingInterval;
+
+    this.socket = null;
+    this.status = 'idle';
+    this.assets = new Set();
+    this.subscribedAssets = new Set();
+    this.quotes = new Map(); // token_id -> { bestBid, bestAsk, lastTradePrice }
+    this.listeners = new Set();
+    this.tradeListeners = new Set();
+    this.statusListeners = new Set();
+    this.attempt = 0;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+  }
+
+  // Register a listener for { tokenId, price, bestBid, bestAsk, lastTradePrice, timestamp } updates
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Register a listener for trades on streamed tokens, in the shape of PolymarketAPI.normalizeTrade
+  onTrade(listener) {
+    this.tradeListeners.add(listener);
+    return () => this.tradeListeners.delete(listener);
+  }
+
+  // Register a listener for connection status changes
+  onStatus(listener) {
+    this.statusListeners.add(listener);
+    listener(this.status);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.statusListeners.forEach(listener => listener(status));
+  }
+
+  // Replace the set of streamed tokens. Connects on the first token, disconnects when empty,
+  // and otherwise sends subscribe/unsubscribe messages for just the difference.
+  setAssets(tokenIds) {
+    this.assets = new Set(tokenIds.filter(Boolean));
+
+    if (this.assets.size === 0) {
+      this.disconnect();
+      return;
+    }
+
+    // A pending reconnect picks up the new assets when it fires, without resetting the backoff
+    if (!this.socket) {
+      if (!this.reconnectTimer) this.connect();
+      return;
+    }
+
+    if (this.status === 'open') {
+      this.syncSubscriptions();
+    }
+  }
+
+  connect() {
+    if (!this.WebSocketImpl) {
+      console.warn('⚠️ MarketStream: WebSocket is not available in this environment');
+      this.setStatus('unavailable');
+      return;
+    }
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.setStatus(this.attempt > 0 ? 'reconnecting' : 'connecting');
+
+    const socket = new this.WebSocketImpl(this.url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      if (this.socket !== socket) return;
+      console.log(`✅ MarketStream connected, subscribing to ${this.assets.size} tokens`);
+      this.attempt = 0;
+      this.subscribedAssets = new Set(this.assets);
+      this.send({ type: 'market', assets_ids: [...this.assets] });
+      this.startPing();
+      this.setStatus('open');
+    };
+
+    socket.onmessage = (event) => {
+      if (this.socket !== socket) return;
+      this.handleMessage(event.data);
+    };
+
+    socket.onerror = () => {
+      if (this.socket !== socket) return;
+      console.warn('⚠️ MarketStream socket error');
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.stopPing();
+      if (this.assets.size > 0) {
+        this.scheduleReconnect();
+      } else {
+        this.setStatus('closed');
+      }
+    };
+  }
+
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopPing();
+    this.attempt = 0;
+    this.subscribedAssets = new Set();
+
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) socket.close();
+    this.setStatus('closed');
+  }
+
+  // Exponential backoff with jitter, capped at maxBackoff
+  scheduleReconnect() {
+    const delay = Math.min(this.maxBackoff, this.minBackoff * 2 ** this.attempt);
+    const jittered = Math.round(delay / 2 + Math.random() * (delay / 2));
+    this.attempt += 1;
+
+    console.log(`🔄 MarketStream reconnecting in ${jittered}ms (attempt ${this.attempt})`);
+    this.setStatus('reconnecting');
+    this.reconnectTimer = setTimeout(() => this.connect(), jittered);
+  }
+
+  syncSubscriptions() {
+    const added = [...this.assets].filter(id => !this.subscribedAssets.has(id));
+    const removed = [...this.subscribedAssets].filter(id => !this.assets.has(id));
+
+    if (added.length > 0) {
+      this.send({ assets_ids: added, operation: 'subscribe' });
+    }
+    if (removed.length > 0) {
+      this.send({ assets_ids: removed, operation: 'unsubscribe' });
+      removed.forEach(id => this.quotes.delete(id));
+    }
+    this.subscribedAssets = new Set(this.assets);
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === 1) {
+      this.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+  }
+
+  // The market channel drops idle connections, so keep it alive with PING frames
+  startPing() {
+    this.stopPing();
+    this.pingTimer = setInterval(() => this.send('PING'), this.pingInterval);
+  }
+
+  stopPing() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+  }
+
+  handleMessage(data) {
+    if (typeof data !== 'string' || data === 'PONG') return;
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    const events = Array.isArray(payload) ? payload : [payload];
+    for (const event of events) {
+      this.handleEvent(event);
+    }
+  }
+
+  handleEvent(event) {
+    switch (event?.event_type) {
+      case 'book': {
+        const bids = (event.bids || []).map(level => toNumber(level.price)).filter(price => price !== null);
+        const asks = (event.asks || []).map(level => toNumber(level.price)).filter(price => price !== null);
+        this.updateQuote(event.asset_id, {
+          bestBid: bids.length ? Math.max(...bids) : null,
+          bestAsk: asks.length ? Math.min(...asks) : null
+        }, event.timestamp);
+        break;
+      }
+      case 'price_change': {
+        // Each change carries the new best bid/ask for its asset
+        for (const change of event.price_changes || []) {
+          this.updateQuote(change.asset_id, {
+            bestBid: toNumber(change.best_bid),
+            bestAsk: toNumber(change.best_ask)
+          }, event.timestamp);
+        }
+        break;
+      }
+      case 'last_trade_price':
+        this.updateQuote(event.asset_id, { lastTradePrice: toNumber(event.price) }, event.timestamp);
+        this.emitTrade(event);
+        break;
+      default:
+        break;
+    }
+  }
+
+  updateQuote(tokenId, changes, timestamp) {
+    if (!tokenId || !this.assets.has(tokenId)) return;
+
+    const quote = { ...this.quotes.get(tokenId), ...changes };
+    this.quotes.set(tokenId, quote);
+
+    const price = this.getDisplayPrice(quote);
+    if (price === null) return;
+
+    const update = {
+      tokenId,
+      price,
+      bestBid: quote.bestBid ?? null,
+      bestAsk: quote.bestAsk ?? null,
+      lastTradePrice: quote.lastTradePrice ?? null,
+      timestamp: timestamp ? new Date(Number(timestamp)).toISOString() : new Date().toISOString()
+    };
+    this.listeners.forEach(listener => listener(update));
+  }
+
+  // The market channel only reports the taker side, price and size of each fill
+  emitTrade(event) {
+    const price = toNumber(event.price);
+    const size = toNumber(event.size);
+    if (!this.assets.has(event.asset_id) || price === null || size === null) return;
+
+    const trade = {
+      conditionId: event.market || null,
+      tokenId: event.asset_id,
+      outcome: null,
+      side: event.side,
+      price,
+      size,
+      usd: price * size,
+      timestamp: event.timestamp ? new Date(Number(event.timestamp)).toISOString() : new Date().toISOString(),
+      trader: null,
+      wallet: null,
+      title: null,
+      transactionHash: null,
+      source: 'live'
+    };
+    this.tradeListeners.forEach(listener => listener(trade));
+  }
+
+  getDisplayPrice({ bestBid, bestAsk, lastTradePrice }) {
+    if (typeof bestBid === 'number' && typeof bestAsk === 'number') {
+      const spread = bestAsk - bestBid;
+      if (spread <= MAX_MIDPOINT_SPREAD || typeof lastTradePrice !== 'number') {
+        return parseFloat(((bestBid + bestAsk) / 2).toFixed(4));
+      }
+    }
+    return typeof lastTradePrice === 'number' ? lastTradePrice : null;
+  }
+}
+
+const marketStream = new MarketStream();
+export default marketStream;
@@ -1,26 +1,187 @@
 import axios from 'axios';
+import { chunk, mapWithConcurrency, sleep } from '../utils/concurrency.js';
+import responseStore from './responseStore.js';
 
-// Use Vite proxy in development, CORS proxy in production
-const isDev = import.meta.env.DEV;
+// Use Vite proxy in development; in production, the self-hosted proxy (server/proxy.js) at
+// VITE_API_PROXY_URL when the build sets it, otherwise the public CORS proxy.
+// Outside a browser (the CLI) there is no CORS, so the APIs are called directly.
+// import.meta.env only exists under Vite, so this module also loads in plain Node.
+const env = import.meta.env || {};
+const isDev = Boolean(env.DEV);
+const isBrowser = typeof window !== 'undefined';
+const API_PROXY_URL = env.VITE_API_PROXY_URL || '';
 const GAMMA_API_BASE = 'https://gamma-api.polymarket.com';
+const CLOB_API_BASE = 'https://clob.polymarket.com';
+const DATA_API_BASE = 'https://data-api.polymarket.com';
 const CORS_PROXY = 'https://corsproxy.io/?';
 
-class PolymarketAPI {
-  constructor() {
+// How long a fetched price history is reused before being refetched
+const HISTORY_CACHE_TTL = 60 * 1000;
+// ...and how much longer it is served while a background refetch runs
+const HISTORY_STALE_TTL = 5 * 60 * 1000;
+// Order books move faster, so they are reused for less time
+const BOOK_CACHE_TTL = 15 * 1000;
+// Market lists are refetched on every refresh; this only merges repeated calls made close together
+const MARKETS_CACHE_TTL = 30 * 1000;
+const TRADES_CACHE_TTL = 10 * 1000;
+
+// Network errors, timeouts, 429 and 5xx responses are retried with exponential backoff
+const RETRY = { retries: 3, baseDelay: 500, maxDelay: 8000, maxRetryAfter: 60 * 1000 };
+// Fallbacks to cached responses are remembered this long for getFallbackSince
+const FALLBACK_MEMORY_MS = 60 * 60 * 1000;
+
+const API_TARGETS = {
+  gamma: { proxyPath: '/api/gamma', base: GAMMA_API_BASE },
+  clob: { proxyPath: '/api/clob', base: CLOB_API_BASE },
+  data: { proxyPath: '/api/data', base: DATA_API_BASE },
+};
+
+const isRetryable = (error) => !error.response || error.response.status === 429 || error.response.status >= 500;
+
+// Retry-After is either a number of seconds or an HTTP date; returns milliseconds to wait, or null
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+const shortenWallet = (wallet) => (wallet ? `${wallet.slice(0, 6)}…${wallet.slice(-4)}` : null);
+
+export class PolymarketAPI {
+  // `apiProxyUrl` points at a server/proxy.js instance, overriding the build-time setting
+  constructor({ apiProxyUrl = API_PROXY_URL } = {}) {
     this.isDev = isDev;
+    this.apiProxyUrl = apiProxyUrl.replace(/\/+$/, '');
     this.gammaClient = axios.create({
       headers: {
         'Content-Type': 'application/json',
       },
       timeout: 15000,
     });
+    this.clobClient = axios.create({
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      timeout: 15000,
+    });
+    this.dataClient = axios.create({
+      timeout: 15000,
+    });
+    this.clients = { gamma: this.gammaClient, clob: this.clobClient, data: this.dataClient };
+    // Response bodies by cacheKey -> { value, fetchedAt }
+    this.responseCache = new Map();
+    // In-flight requests by cacheKey, shared by concurrent callers
+    this.inFlight = new Map();
+    // { servedAt, fetchedAt } for each cached response served because its request failed
+    this.fallbacks = [];
   }
 
-  getUrl(path) {
+  getUrl(path, api = 'gamma') {
+    const target = API_TARGETS[api];
+    if (this.apiProxyUrl) {
+      return `${this.apiProxyUrl}${target.proxyPath}${path}`;
+    }
     if (this.isDev) {
-      return `/api/gamma${path}`;
+      return `${target.proxyPath}${path}`;
+    }
+    if (!isBrowser) {
+      return `${target.base}${path}`;
+    }
+    return CORS_PROXY + encodeURIComponent(`${target.base}${path}`);
+  }
+
+  cacheKey(api, path, data) {
+    return data === undefined ? `${api} GET ${path}` : `${api} POST ${path} ${JSON.stringify(data)}`;
+  }
+
+  // Cached response body for `key` if it is younger than `ttl`, otherwise null
+  peekCache(key, ttl) {
+    const entry = this.responseCache.get(key);
+    return entry && Date.now() - entry.fetchedAt <= ttl ? entry.value : null;
+  }
+
+  // Send one request, retrying network errors, timeouts, 429 and 5xx with exponential backoff and jitter.
+  // A Retry-After header sets the wait instead; one asking for longer than maxRetryAfter ends the retries.
+  async sendWithRetry(api, path, data) {
+    const client = this.clients[api];
+    const url = this.getUrl(path, api);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = data === undefined ? await client.get(url) : await client.post(url, data);
+        return response.data;
+      } catch (error) {
+        if (attempt >= RETRY.retries || !isRetryable(error)) throw error;
+
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfter !== null && retryAfter > RETRY.maxRetryAfter) throw error;
+
+        const backoff = Math.min(RETRY.maxDelay, RETRY.baseDelay * 2 ** attempt);
+        const delay = retryAfter ?? Math.round(backoff / 2 + Math.random() * (backoff / 2));
+        console.warn(`⚠️ ${api} ${path.split('?')[0]} failed (${error.response?.status || error.code || error.message}), retry ${attempt + 1}/${RETRY.retries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Run the request for `key` once, however many callers ask while it is in flight, and cache the result
+  fetchShared(key, api, path, data, persist) {
+    const pending = this.inFlight.get(key);
+    if (pending) return pending;
+
+    const promise = this.sendWithRetry(api, path, data)
+      .then(value => {
+        const fetchedAt = Date.now();
+        this.responseCache.set(key, { value, fetchedAt });
+        if (persist) responseStore.set(key, value, fetchedAt);
+        return value;
+      })
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  // Cached, de-duplicated and retried request returning the response body (POST when `data` is given).
+  // A cached response younger than `ttl` is returned as is; one younger than `ttl + staleTtl` is
+  // returned at once while a background request refreshes it. With `persist` responses are also kept
+  // in IndexedDB, and when a request still fails after its retries the last good response, however
+  // old, is returned instead of the error (see getFallbackSince).
+  async request(api, path, { data, ttl = 0, staleTtl = 0, persist = false } = {}) {
+    const key = this.cacheKey(api, path, data);
+    let entry = this.responseCache.get(key);
+    if (!entry && persist) {
+      entry = await responseStore.get(key);
+      if (entry) this.responseCache.set(key, entry);
+    }
+
+    const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+    if (age <= ttl) return entry.value;
+    if (age <= ttl + staleTtl) {
+      this.fetchShared(key, api, path, data, persist).catch(error => {
+        console.warn(`⚠️ Background refresh of ${api} ${path.split('?')[0]} failed:`, error.message);
+      });
+      return entry.value;
+    }
+
+    try {
+      return await this.fetchShared(key, api, path, data, persist);
+    } catch (error) {
+      if (!persist || !entry) throw error;
+
+      console.warn(`⚠️ Serving ${api} ${path.split('?')[0]} cached at ${new Date(entry.fetchedAt).toLocaleString()}:`, error.message);
+      const now = Date.now();
+      this.fallbacks = [...this.fallbacks.filter(fallback => now - fallback.servedAt <= FALLBACK_MEMORY_MS), { servedAt: now, fetchedAt: entry.fetchedAt }];
+      return entry.value;
     }
-    return CORS_PROXY + encodeURIComponent(`${GAMMA_API_BASE}${path}`);
+  }
+
+  // When cached responses stood in for failed requests made since `since` (ms), the oldest one's
+  // fetch time, i.e. how stale the data built from them may be; null when every request succeeded
+  getFallbackSince(since) {
+    const fetchTimes = this.fallbacks.filter(fallback => fallback.servedAt >= since).map(fallback => fallback.fetchedAt);
+    return fetchTimes.length > 0 ? Math.min(...fetchTimes) : null;
   }
 
   // Sort markets by end date
@@ -57,8 +218,10 @@ class PolymarketAPI {
     let tokens = [];
     const outcomes = market.outcomes ? JSON.parse(market.outcomes) : ['Yes', 'No'];
     const prices = market.outcomePrices ? JSON.parse(market.outcomePrices) : [0.5, 0.5];
+    const tokenIds = market.clobTokenIds ? JSON.parse(market.clobTokenIds) : [];
 
     tokens = outcomes.map((outcome, index) => ({
+      token_id: tokenIds[index] || null,
       outcome: outcome,
       price: prices[index] || 0.5,
       winner: false
@@ -71,12 +234,21 @@ class PolymarketAPI {
       description: market.description,
       end_date_iso: market.endDate,
       market_slug: market.slug,
+      event_id: market.eventId,
+      event_title: market.eventTitle,
+      event_slug: market.eventSlug,
+      event_neg_risk: market.eventNegRisk || false,
+      group_item_title: market.groupItemTitle,
+      created_at: market.createdAt || market.startDate || null,
+      closed_time: market.closedTime || null,
       closed: market.closed || false,
       archived: market.archived || false,
       active: market.active !== false,
       tokens: tokens,
       tags: market.tags || [],
       volume24hr: parseFloat(market.volume24hr) || 0,
+      volume1wk: parseFloat(market.volume1wk) || 0,
+      volume1mo: parseFloat(market.volume1mo) || 0,
       volumeNum: parseFloat(market.volumeNum) || 0,
       liquidity: parseFloat(market.liquidity) || 0,
       // Keep original data for reference
@@ -84,66 +256,379 @@ class PolymarketAPI {
     };
   }
 
-  // Fetch markets using Gamma API events endpoint
-  async fetchMarkets(limit = 100, offset = 0) {
+  // Flatten events into normalized markets, carrying event-level data along
+  extractMarkets(events) {
+    const markets = [];
+    for (const event of events) {
+      if (event.markets && Array.isArray(event.markets)) {
+        for (const market of event.markets) {
+          // Add event-level data to market
+          const enrichedMarket = {
+            ...market,
+            eventId: event.id,
+            eventNegRisk: event.negRisk === true,
+            eventTitle: event.title,
+            eventSlug: event.slug,
+            tags: event.tags || market.tags || []
+          };
+          markets.push(this.normalizeMarket(enrichedMarket));
+        }
+      }
+    }
+    return markets;
+  }
+
+  // /markets nests the parent event instead of the market living under it
+  normalizeListedMarket(market) {
+    const event = market.events?.[0] || {};
+    return this.normalizeMarket({
+      ...market,
+      eventId: event.id,
+      eventNegRisk: event.negRisk === true,
+      eventTitle: event.title,
+      eventSlug: event.slug,
+      tags: event.tags || market.tags || []
+    });
+  }
+
+  // Fetch one page of active events from the Gamma API
+  async fetchEventsPage({ limit = 100, offset = 0, order = 'id', ascending = false } = {}) {
+    const params = new URLSearchParams({
+      limit: limit.toString(),
+      offset: offset.toString(),
+      order,
+      ascending: ascending.toString(),
+      closed: 'false'
+    });
+    // Fetch active events with their markets
+    const events = await this.request('gamma', `/events?${params.toString()}`, { ttl: MARKETS_CACHE_TTL, persist: true });
+    return events || [];
+  }
+
+  // Map low-level request failures to user-friendly errors
+  toFriendlyError(error) {
+    if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+      return new Error('Unable to connect to Polymarket API. Please check your internet connection.');
+    } else if (error.response?.status === 429) {
+      return new Error('API rate limit exceeded. Please try again in a few minutes.');
+    } else if (error.response?.status >= 500) {
+      return new Error('Polymarket API is experiencing issues. Please try again later.');
+    }
+    return new Error(`Failed to fetch markets: ${error.message}`);
+  }
+
+  // Fetch markets from Gamma events, walking pages until the API runs dry or `maxEvents` is reached.
+  // `onPage` is awaited after each page with the newly seen markets and the
+  // de-duplicated running total, so callers can render partial results.
+  async fetchMarkets(options = {}) {
+    const {
+      pageSize = 100,
+      maxEvents = 1000,
+      order = 'volume24hr',
+      ascending = false,
+      onPage
+    } = options;
+
+    const marketsById = new Map();
+    let offset = 0;
+    let page = 0;
+
     try {
-      console.log(`🔄 Fetching markets from Gamma API...`);
+      console.log(`🔄 Fetching up to ${maxEvents} events from Gamma API...`);
 
-      // Build URL with query params
-      const params = new URLSearchParams({
-        limit: limit.toString(),
-        offset: offset.toString(),
-        order: 'id',
-        ascending: 'false',
-        closed: 'false'
-      });
-      const url = this.getUrl(`/events?${params.toString()}`);
-
-      // Fetch active events with their markets
-      const response = await this.gammaClient.get(url);
-
-      const events = response.data || [];
-      console.log(`✅ Fetched ${events.length} events from Gamma API`);
-
-      // Extract all markets from events
-      let allMarkets = [];
-      for (const event of events) {
-        if (event.markets && Array.isArray(event.markets)) {
-          for (const market of event.markets) {
-            // Add event-level data to market
-            const enrichedMarket = {
-              ...market,
-              eventTitle: event.title,
-              eventSlug: event.slug,
-              tags: event.tags || market.tags || []
-            };
-            allMarkets.push(this.normalizeMarket(enrichedMarket));
+      while (offset < maxEvents) {
+        const limit = Math.min(pageSize, maxEvents - offset);
+        const events = await this.fetchEventsPage({ limit, offset, order, ascending });
+        page += 1;
+
+        const newMarkets = [];
+        for (const market of this.extractMarkets(events)) {
+          if (!marketsById.has(market.condition_id)) {
+            marketsById.set(market.condition_id, market);
+            newMarkets.push(market);
           }
         }
+
+        offset += events.length;
+        const done = events.length < limit || offset >= maxEvents;
+        console.log(`📄 Page ${page}: ${events.length} events, ${newMarkets.length} new markets (${marketsById.size} total)`);
+
+        await onPage?.({
+          newMarkets,
+          markets: [...marketsById.values()],
+          progress: { page, events: offset, markets: marketsById.size, maxEvents, done }
+        });
+
+        if (done) break;
       }
+    } catch (error) {
+      console.error('🚨 Gamma API failed:', error.message);
+      // Keep what we already have if a later page fails
+      if (marketsById.size === 0) {
+        throw this.toFriendlyError(error);
+      }
+      console.warn(`⚠️ Stopping pagination early with ${marketsById.size} markets`);
+    }
+
+    if (marketsById.size === 0) {
+      throw new Error('No markets available from Polymarket Gamma API');
+    }
 
-      console.log(`📊 Extracted ${allMarkets.length} markets from events`);
+    return this.sortMarkets([...marketsById.values()]);
+  }
+
+  // Fetch specific markets by condition id (e.g. watchlisted markets outside the fetched pages)
+  async fetchMarketsByConditionIds(conditionIds, { batchSize = 20 } = {}) {
+    const uniqueIds = [...new Set(conditionIds.filter(Boolean))];
+    const markets = [];
 
-      if (allMarkets.length === 0) {
-        throw new Error('No markets available from Polymarket Gamma API');
+    try {
+      for (const batch of chunk(uniqueIds, batchSize)) {
+        const params = new URLSearchParams();
+        batch.forEach(id => params.append('condition_ids', id));
+        params.set('limit', batch.length.toString());
+        const batchMarkets = await this.request('gamma', `/markets?${params.toString()}`, { ttl: MARKETS_CACHE_TTL, persist: true });
+        markets.push(...(batchMarkets || []).map(market => this.normalizeListedMarket(market)));
       }
+    } catch (error) {
+      console.error('🚨 Gamma API failed:', error.message);
+      throw this.toFriendlyError(error);
+    }
+
+    console.log(`✅ Fetched ${markets.length}/${uniqueIds.length} markets by condition id`);
+    return markets;
+  }
 
-      return this.sortMarkets(allMarkets);
+  // Markets closed since `since` (a Date), most traded first. Gamma filters on the end date, so
+  // markets that closed early are kept only when their close time is also after `since`.
+  async fetchResolvedMarkets({ since, limit = 500 } = {}) {
+    const params = new URLSearchParams({
+      closed: 'true',
+      end_date_min: since.toISOString(),
+      limit: limit.toString()
+    });
 
+    try {
+      const data = await this.request('gamma', `/markets?${params.toString()}`, { ttl: MARKETS_CACHE_TTL });
+      const markets = (data || [])
+        .map(market => this.normalizeListedMarket(market))
+        .filter(market => !market.closed_time || !(new Date(market.closed_time) < since))
+        .sort((a, b) => b.volumeNum - a.volumeNum);
+      console.log(`✅ Fetched ${markets.length} markets resolved since ${since.toLocaleString()}`);
+      return markets;
     } catch (error) {
       console.error('🚨 Gamma API failed:', error.message);
+      throw this.toFriendlyError(error);
+    }
+  }
+
+  priceHistoryPath(tokenId, { interval = '1d', fidelity = 15 } = {}) {
+    const params = new URLSearchParams({
+      market: tokenId,
+      interval,
+      fidelity: fidelity.toString()
+    });
+    return `/prices-history?${params.toString()}`;
+  }
+
+  normalizePriceHistory(data) {
+    const history = data?.history || [];
+    return history.map(point => ({
+      timestamp: new Date(point.t * 1000).toISOString(),
+      price: parseFloat(point.p)
+    }));
+  }
+
+  // Return a cached price history if it is still fresh, otherwise null
+  getCachedPriceHistory(tokenId, options = {}) {
+    const data = this.peekCache(this.cacheKey('clob', this.priceHistoryPath(tokenId, options)), HISTORY_CACHE_TTL);
+    return data ? this.normalizePriceHistory(data) : null;
+  }
+
+  // Fetch price history for a single CLOB token as [{ timestamp, price }].
+  // Results are cached (and persisted) and concurrent requests for the same token share one call.
+  async fetchPriceHistory(tokenId, options = {}) {
+    const data = await this.request('clob', this.priceHistoryPath(tokenId, options), {
+      ttl: HISTORY_CACHE_TTL,
+      staleTtl: HISTORY_STALE_TTL,
+      persist: true
+    });
+    return this.normalizePriceHistory(data);
+  }
+
+  // Fetch price histories for many tokens in batches with limited concurrency.
+  // Returns a map of token_id -> history; tokens that fail or have no history are omitted.
+  async fetchPriceHistories(tokenIds, options = {}) {
+    const {
+      interval = '1d',
+      fidelity = 15,
+      batchSize = 25,
+      concurrency = 5,
+      batchDelay = 200,
+      onProgress
+    } = options;
+
+    const uniqueIds = [...new Set(tokenIds.filter(Boolean))];
+    const histories = {};
+
+    // Serve fresh cache hits directly; only the rest go through batching
+    const missingIds = [];
+    for (const tokenId of uniqueIds) {
+      const cached = this.getCachedPriceHistory(tokenId, { interval, fidelity });
+      if (cached) {
+        if (cached.length > 0) histories[tokenId] = cached;
+      } else {
+        missingIds.push(tokenId);
+      }
+    }
+    let completed = uniqueIds.length - missingIds.length;
+
+    console.log(`🔄 Fetching price history for ${missingIds.length} tokens (${completed} cached)...`);
+
+    const batches = chunk(missingIds, batchSize);
+    for (const [batchIndex, batch] of batches.entries()) {
+      await mapWithConcurrency(batch, concurrency, async (tokenId) => {
+        try {
+          const history = await this.fetchPriceHistory(tokenId, { interval, fidelity });
+          if (history.length > 0) {
+            histories[tokenId] = history;
+          }
+        } catch (error) {
+          console.warn(`⚠️ Price history unavailable for token ${tokenId}:`, error.message);
+        }
+      });
+
+      completed += batch.length;
+      onProgress?.({ completed, total: uniqueIds.length });
+
+      if (batchDelay > 0 && batchIndex < batches.length - 1) {
+        await sleep(batchDelay);
+      }
+    }
+
+    console.log(`✅ Price history loaded for ${Object.keys(histories).length}/${uniqueIds.length} tokens`);
+    return histories;
+  }
+
+  // CLOB order books arrive as price/size strings in no guaranteed order;
+  // normalize to numbers with bids best (highest) first and asks best (lowest) first
+  normalizeOrderBook(book) {
+    const toLevels = (levels) => (levels || [])
+      .map(level => ({ price: parseFloat(level.price), size: parseFloat(level.size) }))
+      .filter(level => Number.isFinite(level.price) && Number.isFinite(level.size) && level.size > 0);
+
+    return {
+      tokenId: book.asset_id,
+      bids: toLevels(book.bids).sort((a, b) => b.price - a.price),
+      asks: toLevels(book.asks).sort((a, b) => a.price - b.price),
+      timestamp: book.timestamp ? new Date(Number(book.timestamp)).toISOString() : new Date().toISOString()
+    };
+  }
 
-      // Provide user-friendly error handling
-      if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-        throw new Error('Unable to connect to Polymarket API. Please check your internet connection.');
-      } else if (error.response?.status === 429) {
-        throw new Error('API rate limit exceeded. Please try again in a few minutes.');
-      } else if (error.response?.status >= 500) {
-        throw new Error('Polymarket API is experiencing issues. Please try again later.');
+  orderBookPath(tokenId) {
+    return `/book?token_id=${encodeURIComponent(tokenId)}`;
+  }
+
+  // Fetch the order book for one CLOB token (cached briefly, concurrent calls shared)
+  async fetchOrderBook(tokenId) {
+    return this.normalizeOrderBook(await this.request('clob', this.orderBookPath(tokenId), { ttl: BOOK_CACHE_TTL }));
+  }
+
+  // Fetch order books for many tokens through the batch endpoint.
+  // Returns a map of token_id -> book; fresh cache hits are reused and failed batches omitted.
+  async fetchOrderBooks(tokenIds, { batchSize = 25 } = {}) {
+    const uniqueIds = [...new Set(tokenIds.filter(Boolean))];
+    const books = {};
+    const missingIds = [];
+
+    for (const tokenId of uniqueIds) {
+      const cached = this.peekCache(this.cacheKey('clob', this.orderBookPath(tokenId)), BOOK_CACHE_TTL);
+      if (cached) {
+        books[tokenId] = this.normalizeOrderBook(cached);
       } else {
-        throw new Error(`Failed to fetch markets: ${error.message}`);
+        missingIds.push(tokenId);
+      }
+    }
+
+    console.log(`🔄 Fetching order books for ${missingIds.length} tokens (${uniqueIds.length - missingIds.length} cached)...`);
+
+    for (const batch of chunk(missingIds, batchSize)) {
+      try {
+        const rawBooks = await this.request('clob', '/books', { data: batch.map(tokenId => ({ token_id: tokenId })) });
+        for (const rawBook of rawBooks || []) {
+          const book = this.normalizeOrderBook(rawBook);
+          if (!book.tokenId) continue;
+          books[book.tokenId] = book;
+          // Seed the single-book cache so the detail view reuses it
+          this.responseCache.set(this.cacheKey('clob', this.orderBookPath(book.tokenId)), { value: rawBook, fetchedAt: Date.now() });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Order books unavailable for ${batch.length} tokens:`, error.message);
+      }
+    }
+
+    return books;
+  }
+
+  // Data API trades use unix seconds and numeric strings; normalize to the shape MarketStream emits
+  normalizeTrade(trade) {
+    const price = parseFloat(trade.price);
+    const size = parseFloat(trade.size);
+    return {
+      conditionId: trade.conditionId,
+      tokenId: trade.asset,
+      outcome: trade.outcome || null,
+      side: trade.side,
+      price,
+      size,
+      usd: price * size,
+      timestamp: new Date(Number(trade.timestamp) * 1000).toISOString(),
+      trader: trade.name || trade.pseudonym || shortenWallet(trade.proxyWallet),
+      wallet: trade.proxyWallet || null,
+      title: trade.title || null,
+      transactionHash: trade.transactionHash || null,
+      source: 'api'
+    };
+  }
+
+  // Fetch recent trades (newest first) for markets by condition id, optionally only those worth
+  // at least `minUsd`. Each batch returns at most `limit` trades, so `coverage` maps every fetched
+  // market to the time from which its list is complete (null when nothing was cut off).
+  // Failed batches are skipped and their markets left out of `coverage`.
+  async fetchTrades(conditionIds, { minUsd = 0, limit = 500, batchSize = 10 } = {}) {
+    const uniqueIds = [...new Set(conditionIds.filter(Boolean))];
+    const trades = [];
+    const coverage = {};
+
+    for (const batch of chunk(uniqueIds, batchSize)) {
+      const params = new URLSearchParams({
+        market: batch.join(','),
+        limit: limit.toString(),
+        takerOnly: 'true'
+      });
+      if (minUsd > 0) {
+        params.set('filterType', 'CASH');
+        params.set('filterAmount', minUsd.toString());
+      }
+
+      try {
+        const rawTrades = await this.request('data', `/trades?${params.toString()}`, { ttl: TRADES_CACHE_TTL });
+        const batchTrades = (rawTrades || [])
+          .map(trade => this.normalizeTrade(trade))
+          .filter(trade => Number.isFinite(trade.usd));
+
+        const oldest = batchTrades.length >= limit ? batchTrades[batchTrades.length - 1].timestamp : null;
+        batch.forEach(id => {
+          coverage[id] = oldest;
+        });
+        trades.push(...batchTrades);
+      } catch (error) {
+        console.warn(`⚠️ Trades unavailable for ${batch.length} markets:`, error.message);
       }
     }
+
+    console.log(`✅ Fetched ${trades.length} trades${minUsd > 0 ? ` of $${minUsd}+` : ''} for ${Object.keys(coverage).length}/${uniqueIds.length} markets`);
+    return { trades, coverage };
   }
 }
 
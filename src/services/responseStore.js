@@ -0,0 +1,103 @@
+// Persistent copy of API responses in IndexedDB, so the last good data survives reloads and outages.
+// Records are { key, value, fetchedAt } where `key` is PolymarketAPI's request cache key.
+// Writes are buffered and committed together, since a refresh stores hundreds of price histories.
+const DB_NAME = 'polymotion-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+const WRITE_DELAY_MS = 1000;
+// Responses older than this are deleted when the store opens
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+class ResponseStore {
+  constructor() {
+    this.dbPromise = null;
+    this.pendingWrites = new Map();
+    this.writeTimer = null;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('fetchedAt', 'fetchedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+        .then(db => this.prune(db).then(() => db))
+        .catch(error => {
+          this.dbPromise = null;
+          throw error;
+        });
+    }
+    return this.dbPromise;
+  }
+
+  async prune(db, now = Date.now()) {
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const keys = await requestToPromise(store.index('fetchedAt').getAllKeys(IDBKeyRange.upperBound(now - MAX_AGE_MS)));
+    keys.forEach(key => store.delete(key));
+    if (keys.length > 0) console.log(`🧹 Pruned ${keys.length} cached responses`);
+  }
+
+  // Stored { value, fetchedAt } for `key`, or null. Unwritten entries are served from the buffer.
+  async get(key) {
+    if (this.pendingWrites.has(key)) return this.pendingWrites.get(key);
+    if (!this.isAvailable()) return null;
+
+    try {
+      const db = await this.open();
+      const record = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(key));
+      return record ? { value: record.value, fetchedAt: record.fetchedAt } : null;
+    } catch (error) {
+      console.warn('⚠️ ResponseStore: read failed:', error.message);
+      return null;
+    }
+  }
+
+  set(key, value, fetchedAt = Date.now()) {
+    if (!this.isAvailable()) return;
+    this.pendingWrites.set(key, { value, fetchedAt });
+    if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => this.flush(), WRITE_DELAY_MS);
+    }
+  }
+
+  async flush() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    if (this.pendingWrites.size === 0) return;
+
+    const writes = [...this.pendingWrites.entries()];
+    this.pendingWrites.clear();
+
+    try {
+      const db = await this.open();
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      writes.forEach(([key, entry]) => store.put({ key, ...entry }));
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.warn(`⚠️ ResponseStore: could not save ${writes.length} responses:`, error.message);
+    }
+  }
+}
+
+const responseStore = new ResponseStore();
+export default responseStore;
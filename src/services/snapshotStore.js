@@ -0,0 +1,205 @@
+// Local history of processed market snapshots, kept in IndexedDB.
+// Each record is one fetch: { takenAt, window, markets: [{ id, price, volume24h, volumeTotal, liquidity, outcomes }] }
+// where `outcomes` is [{ tokenId, outcome, price }]. Older snapshots are thinned out by compact().
+const DB_NAME = 'polymotion';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Snapshots closer together than this replace the previous one (e.g. repeated manual refreshes)
+const MIN_SNAPSHOT_INTERVAL_MS = 60 * 1000;
+
+// Keep every snapshot for a day, one per hour for a week, one per day after that
+const RETENTION = {
+  fullResolutionMs: DAY_MS,
+  hourlyMs: 7 * DAY_MS,
+  maxAgeMs: 90 * DAY_MS,
+  maxSnapshots: 1000
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// Reduce a processed market to what the history needs
+const toSnapshotMarket = (market) => ({
+  id: market.id,
+  price: market.currentPrice,
+  volume24h: market.volume24h,
+  volumeTotal: market.volumeTotal,
+  liquidity: market.liquidity,
+  outcomes: (market.tokens || []).map(token => ({
+    tokenId: token.tokenId,
+    outcome: token.outcome,
+    price: token.price
+  }))
+});
+
+// Which snapshot keys compaction removes: beyond full resolution only the first
+// snapshot of each hour (then each day) survives, and nothing older than maxAgeMs
+export function getCompactionDeletes(keys, now = Date.now(), retention = RETENTION) {
+  const sorted = [...keys].sort((a, b) => a - b);
+  const deletes = new Set();
+  const keptBuckets = new Set();
+
+  for (const key of sorted) {
+    const age = now - key;
+    if (age > retention.maxAgeMs) {
+      deletes.add(key);
+      continue;
+    }
+    if (age <= retention.fullResolutionMs) continue;
+
+    const bucket = age <= retention.hourlyMs ? `h${Math.floor(key / HOUR_MS)}` : `d${Math.floor(key / DAY_MS)}`;
+    if (keptBuckets.has(bucket)) {
+      deletes.add(key);
+    } else {
+      keptBuckets.add(bucket);
+    }
+  }
+
+  const kept = sorted.filter(key => !deletes.has(key));
+  const overflow = kept.length - retention.maxSnapshots;
+  if (overflow > 0) {
+    kept.slice(0, overflow).forEach(key => deletes.add(key));
+  }
+
+  return [...deletes];
+}
+
+class SnapshotStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'takenAt' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Persist one processed snapshot and compact the store
+  async saveSnapshot(markets, { window, takenAt = Date.now() } = {}) {
+    if (!this.isAvailable() || markets.length === 0) return null;
+
+    const db = await this.open();
+    const record = { takenAt, window, markets: markets.map(toSnapshotMarket) };
+
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const recentKeys = await requestToPromise(
+      store.getAllKeys(IDBKeyRange.lowerBound(takenAt - MIN_SNAPSHOT_INTERVAL_MS, true))
+    );
+    recentKeys.forEach(key => store.delete(key));
+    store.put(record);
+    await transactionDone(transaction);
+
+    console.log(`💾 Saved snapshot of ${record.markets.length} markets`);
+    await this.compact(takenAt);
+    return record;
+  }
+
+  async compact(now = Date.now()) {
+    const db = await this.open();
+    const keys = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAllKeys());
+    const deletes = getCompactionDeletes(keys, now);
+    if (deletes.length === 0) return 0;
+
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    deletes.forEach(key => store.delete(key));
+    await transactionDone(transaction);
+
+    console.log(`🧹 Compacted ${deletes.length} old snapshots`);
+    return deletes.length;
+  }
+
+  // Most recent snapshot taken before `before`, or null
+  async getLatestSnapshot(before = Infinity) {
+    if (!this.isAvailable()) return null;
+
+    const db = await this.open();
+    const range = Number.isFinite(before) ? IDBKeyRange.upperBound(before, true) : null;
+    const store = db.transaction(STORE_NAME).objectStore(STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.openCursor(range, 'prev');
+      request.onsuccess = () => resolve(request.result ? request.result.value : null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Price history for each token from our own snapshots over the last `hours`,
+  // in the same { timestamp, price } shape as PolymarketAPI.fetchPriceHistory
+  async getPriceHistories(tokenIds, hours) {
+    const histories = {};
+    if (!this.isAvailable() || tokenIds.length === 0) return histories;
+
+    const wanted = new Set(tokenIds);
+    const db = await this.open();
+    const store = db.transaction(STORE_NAME).objectStore(STORE_NAME);
+
+    await new Promise((resolve, reject) => {
+      const request = store.openCursor(IDBKeyRange.lowerBound(Date.now() - hours * HOUR_MS));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        const timestamp = new Date(cursor.value.takenAt).toISOString();
+        for (const market of cursor.value.markets) {
+          for (const outcome of market.outcomes) {
+            if (wanted.has(outcome.tokenId) && typeof outcome.price === 'number') {
+              (histories[outcome.tokenId] ||= []).push({ timestamp, price: outcome.price });
+            }
+          }
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return histories;
+  }
+
+  // Every stored snapshot as JSON, for offline analysis
+  async exportSnapshots() {
+    if (!this.isAvailable()) return JSON.stringify({ version: 1, snapshots: [] });
+
+    const db = await this.open();
+    const snapshots = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+    return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), snapshots });
+  }
+}
+
+const snapshotStore = new SnapshotStore();
+export default snapshotStore;
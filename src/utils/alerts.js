@@ -0,0 +1,199 @@
+// Threshold alert rules and their evaluation against processed market data.
+// A rule targets one market (`marketId`) or every market in a category ('all' for any),
+// and fires when the price crosses `threshold` or moves more than `threshold` within `windowHours`.
+import { formatPrice, formatMovement } from './formatters.js';
+import { getMovementWindow } from './movementWindows.js';
+import { isInCategory } from './categories.js';
+
+const RULES_KEY = 'alertRules';
+const LOG_KEY = 'alertLog';
+const COOLDOWNS_KEY = 'alertCooldowns';
+const MAX_LOG_ENTRIES = 200;
+
+export const ALERT_TYPES = {
+  crosses: { label: 'Price crosses' },
+  moves: { label: 'Moves more than' }
+};
+
+export const ALERT_WINDOWS = [1, 6, 24];
+
+// A rule fires at most once per market within this cooldown, tracked apart from the log so clearing it doesn't reset
+export const ALERT_COOLDOWN_MS = 30 * 60 * 1000;
+
+// Observations older than the longest rule window are dropped
+const MAX_OBSERVATION_MS = Math.max(...ALERT_WINDOWS) * 60 * 60 * 1000;
+
+const readJson = (key) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable ${key}:`, error.message);
+    return [];
+  }
+};
+
+export function loadAlertRules() {
+  return readJson(RULES_KEY);
+}
+
+export function saveAlertRules(rules) {
+  localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+}
+
+export function loadAlertLog() {
+  return readJson(LOG_KEY);
+}
+
+export function saveAlertLog(log) {
+  localStorage.setItem(LOG_KEY, JSON.stringify(log.slice(0, MAX_LOG_ENTRIES)));
+}
+
+// When each rule last fired per market, keyed `${ruleId}:${marketId}`.
+// Before cooldowns were saved on their own they came from the log, so an old log seeds them once.
+export function loadAlertCooldowns() {
+  if (localStorage.getItem(COOLDOWNS_KEY) === null) {
+    return recordAlertCooldowns(new Map(), [...loadAlertLog()].reverse());
+  }
+  return new Map(readJson(COOLDOWNS_KEY).filter(entry => Array.isArray(entry) && entry.length === 2));
+}
+
+export function saveAlertCooldowns(cooldowns) {
+  localStorage.setItem(COOLDOWNS_KEY, JSON.stringify([...cooldowns]));
+}
+
+// Add the firing times of `alerts`, dropping cooldowns that have run out
+export function recordAlertCooldowns(cooldowns, alerts, now = Date.now()) {
+  const next = new Map([...cooldowns].filter(([, firedAt]) => now - firedAt < ALERT_COOLDOWN_MS));
+  for (const alert of alerts) {
+    const firedAt = new Date(alert.firedAt).getTime();
+    if (now - firedAt < ALERT_COOLDOWN_MS) next.set(`${alert.ruleId}:${alert.marketId}`, firedAt);
+  }
+  return next;
+}
+
+export function createAlertRule({ market, category, type, threshold, windowHours }) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    marketId: market ? market.id : null,
+    marketQuestion: market ? market.question : null,
+    category: market ? null : category || 'all',
+    type,
+    threshold,
+    windowHours: type === 'moves' ? windowHours : null,
+    enabled: true,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Human-readable rule, e.g. "Any politics market moves more than 15.0¢ within 1h"
+export function describeAlertRule(rule) {
+  const target = rule.marketId
+    ? rule.marketQuestion || 'Market'
+    : rule.category === 'all' ? 'Any market' : `Any ${rule.category} market`;
+
+  return rule.type === 'crosses'
+    ? `${target} crosses ${formatPrice(rule.threshold)}`
+    : `${target} moves more than ${formatMovement(rule.threshold)} within ${rule.windowHours}h`;
+}
+
+const appliesTo = (rule, market) => (
+  rule.marketId
+    ? rule.marketId === market.id
+    : isInCategory(market, rule.category)
+);
+
+// Record the current price of every market, keeping one point per price change
+export function recordObservations(observations, markets, now = Date.now()) {
+  const next = new Map();
+
+  for (const market of markets) {
+    const previous = (observations.get(market.id) || []).filter(point => now - point.time <= MAX_OBSERVATION_MS);
+    const last = previous[previous.length - 1];
+    next.set(market.id, last && last.price === market.currentPrice ? previous : [...previous, { time: now, price: market.currentPrice }]);
+  }
+
+  return next;
+}
+
+// Largest high-low range seen within the window, from our own observations and,
+// when its window fits inside the rule's, the market's processed movement.
+// Observations start with the session, so a rule window shorter than the movement window
+// (e.g. 1h on the 24h view) only sees moves since the page was opened.
+const getRecentMovement = (market, points, windowHours, now) => {
+  const prices = points
+    .filter(point => now - point.time <= windowHours * 60 * 60 * 1000)
+    .map(point => point.price);
+  const observed = prices.length > 1 ? Math.max(...prices) - Math.min(...prices) : 0;
+  const processed = market.hasPriceData && getMovementWindow(market.window).hours <= windowHours ? market.movement : 0;
+  return Math.max(observed, processed);
+};
+
+// Evaluate enabled rules against markets whose observations were just recorded.
+// `cooldowns` comes from loadAlertCooldowns/recordAlertCooldowns. Returns the new alert entries.
+export function evaluateAlertRules(rules, markets, observations, cooldowns, now = Date.now()) {
+  const alerts = [];
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+
+    for (const market of markets) {
+      if (!appliesTo(rule, market)) continue;
+
+      const key = `${rule.id}:${market.id}`;
+      if (now - (cooldowns.get(key) || 0) < ALERT_COOLDOWN_MS) continue;
+
+      const points = observations.get(market.id) || [];
+      let message = null;
+
+      if (rule.type === 'crosses') {
+        // Only a price change recorded in this evaluation can cross
+        const latest = points[points.length - 1];
+        const previous = points[points.length - 2]?.price;
+        const current = market.currentPrice;
+        const crossed = (previous < rule.threshold && current >= rule.threshold) ||
+          (previous >= rule.threshold && current < rule.threshold);
+        if (latest?.time === now && typeof previous === 'number' && crossed) {
+          message = `${current > previous ? 'Rose' : 'Fell'} through ${formatPrice(rule.threshold)} (${formatPrice(previous)} → ${formatPrice(current)})`;
+        }
+      } else if (rule.type === 'moves') {
+        const movement = getRecentMovement(market, points, rule.windowHours, now);
+        if (movement > rule.threshold) {
+          message = `Moved ${formatMovement(movement)} within ${rule.windowHours}h, now ${formatPrice(market.currentPrice)}`;
+        }
+      }
+
+      if (message) {
+        alerts.push({
+          id: `${key}:${now}`,
+          ruleId: rule.id,
+          rule: describeAlertRule(rule),
+          marketId: market.id,
+          question: market.question,
+          message,
+          price: market.currentPrice,
+          firedAt: new Date(now).toISOString()
+        });
+      }
+    }
+  }
+
+  return alerts;
+}
+
+// Show alerts as browser notifications when permission was granted.
+// Several alerts from one evaluation are summarized so a busy refresh doesn't flood the desktop.
+export function notifyAlerts(alerts) {
+  if (alerts.length === 0 || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+  if (alerts.length > 3) {
+    new Notification(`Polymotion: ${alerts.length} alerts`, {
+      body: alerts.slice(0, 3).map(alert => alert.question).join('\n') + '\n…',
+      tag: 'polymotion-alerts'
+    });
+    return;
+  }
+
+  for (const alert of alerts) {
+    new Notification(alert.question, { body: `${alert.rule}\n${alert.message}`, tag: `${alert.ruleId}:${alert.marketId}` });
+  }
+}
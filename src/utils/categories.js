@@ -0,0 +1,72 @@
+// Category keyword lists saved per user in localStorage, and the category list built from loaded markets.
+// Mappings have the shape of DEFAULT_CATEGORY_MAPPINGS: { category: [keyword, ...] }.
+import { DEFAULT_CATEGORY_MAPPINGS } from './marketAnalyzer.js';
+
+const STORAGE_KEY = 'categoryMappings';
+
+const isValidMappings = (mappings) => (
+  mappings && typeof mappings === 'object' && !Array.isArray(mappings) &&
+  Object.values(mappings).every(keywords => Array.isArray(keywords) && keywords.every(keyword => typeof keyword === 'string'))
+);
+
+export function loadCategoryMappings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (saved === null) return DEFAULT_CATEGORY_MAPPINGS;
+    if (isValidMappings(saved)) return saved;
+    console.warn('⚠️ Ignoring malformed category mappings');
+  } catch (error) {
+    console.warn('⚠️ Ignoring unreadable category mappings:', error.message);
+  }
+  return DEFAULT_CATEGORY_MAPPINGS;
+}
+
+// Saving the defaults clears the override, so later changes to the defaults reach this user
+export function saveCategoryMappings(mappings) {
+  if (JSON.stringify(mappings) === JSON.stringify(DEFAULT_CATEGORY_MAPPINGS)) {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+  }
+}
+
+// "Bitcoin, ETH ,  defi" -> ['bitcoin', 'eth', 'defi']
+export function parseKeywords(text) {
+  return [...new Set(text.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean))];
+}
+
+export function getMarketCategories(market) {
+  return market.categories || [market.category];
+}
+
+export function isInCategory(market, category) {
+  return category === 'all' || getMarketCategories(market).includes(category);
+}
+
+export function getCategoryLabel(category) {
+  return category === 'all' ? 'All Categories' : category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+// Every category present in `markets` with how many of `countedMarkets` (e.g. those passing the
+// filters) it holds, largest first and 'other' last. Multi-category markets count in each.
+export function buildCategoryList(markets, countedMarkets = markets) {
+  const counts = new Map();
+  for (const market of markets) {
+    for (const category of getMarketCategories(market)) {
+      counts.set(category, 0);
+    }
+  }
+  for (const market of countedMarkets) {
+    for (const category of getMarketCategories(market)) {
+      if (counts.has(category)) counts.set(category, counts.get(category) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => (
+      (a.key === 'other') - (b.key === 'other') ||
+      b.count - a.count ||
+      a.key.localeCompare(b.key)
+    ));
+}
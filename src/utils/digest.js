@@ -0,0 +1,261 @@
+// "What moved" digest of a market snapshot (see services/marketSnapshot.js): top movers per category,
+// biggest gainers and losers, newly listed and resolved markets. Rankings use the Dashboard's default
+// filters as of the capture time, so rendering the same snapshot always gives the same report.
+import marketAnalyzer, { DEFAULT_FILTERS, getMarketUrl } from './marketAnalyzer.js';
+import { getMovementWindow } from './movementWindows.js';
+import { buildCategoryList, isInCategory, getCategoryLabel } from './categories.js';
+import { formatPrice, formatNetChange, formatMovement, formatPercent, formatVolume } from './formatters.js';
+
+export const DIGEST_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', type: 'text/html' }
+};
+
+export const DEFAULT_DIGEST_OPTIONS = {
+  limit: 10, // rows in the gainers, losers, new and resolved sections
+  perCategory: 5,
+  maxCategories: 8,
+  minimumVolume: DEFAULT_FILTERS.minimumVolume
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sections of the digest as plain data, for any renderer
+export function buildDigest(snapshot, options = {}) {
+  const { limit, perCategory, maxCategories, minimumVolume } = { ...DEFAULT_DIGEST_OPTIONS, ...options };
+  const capturedAt = new Date(snapshot.capturedAt);
+  const since = new Date(capturedAt.getTime() - snapshot.periodHours * HOUR_MS);
+
+  const rank = (sortBy) => marketAnalyzer.filterAndSortMarkets(snapshot.markets, {
+    ...DEFAULT_FILTERS,
+    minimumVolume,
+    sortBy,
+    limit: Infinity,
+    asOf: capturedAt
+  });
+  const movers = rank('range');
+
+  const categories = buildCategoryList(movers)
+    .slice(0, maxCategories)
+    .map(({ key, count }) => ({
+      category: key,
+      count,
+      markets: movers.filter(market => isInCategory(market, key)).slice(0, perCategory)
+    }));
+
+  const newMarkets = snapshot.markets
+    .filter(market => {
+      const createdAt = new Date(market.createdAt);
+      return createdAt >= since && createdAt <= capturedAt;
+    })
+    .sort((a, b) => b.volume24h - a.volume24h);
+
+  return {
+    capturedAt,
+    since,
+    window: getMovementWindow(snapshot.window),
+    marketCount: snapshot.markets.length,
+    moverCount: movers.length,
+    categories,
+    gainers: rank('gainers').filter(market => market.netChange > 0).slice(0, limit),
+    losers: rank('losers').filter(market => market.netChange < 0).slice(0, limit),
+    newMarkets: newMarkets.slice(0, limit),
+    newMarketCount: newMarkets.length,
+    resolved: [...snapshot.resolved].sort((a, b) => b.volumeTotal - a.volumeTotal).slice(0, limit),
+    resolvedCount: snapshot.resolved.length
+  };
+}
+
+// UTC keeps the report identical wherever it is rendered
+const formatTime = (date) => `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const getTone = (value) => (value > 0 ? 'up' : value < 0 ? 'down' : null);
+
+const marketCell = (market) => ({
+  text: market.outcomeLabel ? `${market.question} · ${market.outcomeLabel}` : market.question,
+  url: getMarketUrl(market)
+});
+
+const moverTable = (markets, window, empty) => ({
+  columns: [
+    { label: 'Market' },
+    { label: 'Price', align: 'right' },
+    { label: 'Net', align: 'right' },
+    { label: 'Change', align: 'right' },
+    { label: 'Range', align: 'right' },
+    { label: `Vol ${window.volumeLabel}`, align: 'right' }
+  ],
+  rows: markets.map(market => [
+    marketCell(market),
+    { text: formatPrice(market.currentPrice) },
+    { text: formatNetChange(market.netChange), tone: getTone(market.netChange) },
+    { text: formatPercent(market.netChangePercent), tone: getTone(market.netChange) },
+    { text: formatMovement(market.movement) },
+    { text: formatVolume(market.volume) }
+  ]),
+  empty
+});
+
+// Titled sections of tables, shared by the Markdown and HTML renderers
+function getSections(digest) {
+  const { window } = digest;
+  return [
+    {
+      title: 'Top movers by category',
+      note: `Largest price range over the ${window.longLabel} window, with the Dashboard's default filters.`,
+      tables: digest.categories.length > 0
+        ? digest.categories.map(({ category, count, markets }) => ({
+          title: `${getCategoryLabel(category)} (${count} moving)`,
+          ...moverTable(markets, window)
+        }))
+        : [moverTable([], window, 'No markets moved enough to rank.')]
+    },
+    { title: 'Biggest gainers', tables: [moverTable(digest.gainers, window, 'No market gained.')] },
+    { title: 'Biggest losers', tables: [moverTable(digest.losers, window, 'No market lost.')] },
+    {
+      title: 'Newly listed',
+      note: `${pluralize(digest.newMarketCount, 'market')} listed since ${formatTime(digest.since)}, most traded first.`,
+      tables: [{
+        columns: [{ label: 'Market' }, { label: 'Price', align: 'right' }, { label: 'Listed', align: 'right' }, { label: 'Vol 24h', align: 'right' }],
+        rows: digest.newMarkets.map(market => [
+          marketCell(market),
+          { text: formatPrice(market.currentPrice) },
+          { text: formatTime(market.createdAt) },
+          { text: formatVolume(market.volume24h) }
+        ]),
+        empty: 'No new markets.'
+      }]
+    },
+    {
+      title: 'Resolved',
+      note: `${pluralize(digest.resolvedCount, 'market')} closed since ${formatTime(digest.since)}, most traded first.`,
+      tables: [{
+        columns: [{ label: 'Market' }, { label: 'Outcome' }, { label: 'Closed', align: 'right' }, { label: 'Total volume', align: 'right' }],
+        rows: digest.resolved.map(market => [
+          marketCell(market),
+          { text: market.winner || 'Awaiting resolution' },
+          { text: market.closedAt ? formatTime(market.closedAt) : '—' },
+          { text: formatVolume(market.volumeTotal) }
+        ]),
+        empty: 'No markets resolved.'
+      }]
+    }
+  ];
+}
+
+const getTitle = (digest) => `Polymotion digest · ${formatTime(digest.capturedAt)}`;
+
+const getSummary = (digest) => (
+  `${digest.moverCount} of ${pluralize(digest.marketCount, 'market')} moved over the ${digest.window.longLabel} window ending ${formatTime(digest.capturedAt)}.`
+);
+
+// Table and link syntax is backslash-escaped; HTML-significant characters become entities so
+// market text like "<b>" isn't rendered as markup
+const escapeMarkdown = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/([|[\]\\])/g, '\\$1')
+  .replace(/\r?\n/g, ' ');
+
+const markdownCell = ({ text, url }) => (url ? `[${escapeMarkdown(text)}](${url})` : escapeMarkdown(text));
+
+export function renderDigestMarkdown(digest) {
+  const lines = [`# ${getTitle(digest)}`, '', getSummary(digest)];
+
+  for (const section of getSections(digest)) {
+    lines.push('', `## ${section.title}`);
+    if (section.note) lines.push('', section.note);
+
+    for (const table of section.tables) {
+      if (table.title) lines.push('', `### ${escapeMarkdown(table.title)}`);
+      lines.push('');
+      if (table.rows.length === 0) {
+        lines.push(`_${table.empty}_`);
+        continue;
+      }
+      lines.push(`| ${table.columns.map(column => column.label).join(' | ')} |`);
+      lines.push(`| ${table.columns.map(column => (column.align === 'right' ? '---:' : '---')).join(' | ')} |`);
+      for (const row of table.rows) {
+        lines.push(`| ${row.map(markdownCell).join(' | ')} |`);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// One embedded stylesheet and no external assets, so the file works offline and from file://.
+// Mail clients that strip <style> still show plain, readable tables.
+const HTML_STYLE = `
+  body { font-family: system-ui, -apple-system, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #111827; background: #ffffff; }
+  h1 { font-size: 1.5rem; } h2 { margin-top: 2rem; border-bottom: 1px solid #e5e7eb; padding-bottom: .25rem; } h3 { font-size: 1rem; margin-bottom: .5rem; }
+  p { color: #4b5563; } .empty { font-style: italic; }
+  table { width: 100%; border-collapse: collapse; font-size: .875rem; margin-bottom: 1rem; }
+  th, td { padding: .375rem .5rem; border-bottom: 1px solid #e5e7eb; text-align: left; } th { color: #6b7280; font-weight: 600; }
+  .right { text-align: right; white-space: nowrap; } .up { color: #15803d; } .down { color: #b91c1c; }
+  a { color: #2563eb; text-decoration: none; } a:hover { text-decoration: underline; }
+  @media (prefers-color-scheme: dark) {
+    body { color: #f3f4f6; background: #111827; } p, th { color: #9ca3af; } h2, th, td { border-color: #374151; }
+    .up { color: #4ade80; } .down { color: #f87171; } a { color: #60a5fa; }
+  }`;
+
+const htmlCell = ({ text, url, tone }, column) => {
+  const classes = [column.align === 'right' ? 'right' : null, tone].filter(Boolean).join(' ');
+  const content = url
+    ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(text)}</a>`
+    : escapeHtml(text);
+  return `<td${classes ? ` class="${classes}"` : ''}>${content}</td>`;
+};
+
+export function renderDigestHtml(digest) {
+  const body = [`<h1>${escapeHtml(getTitle(digest))}</h1>`, `<p>${escapeHtml(getSummary(digest))}</p>`];
+
+  for (const section of getSections(digest)) {
+    body.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    if (section.note) body.push(`<p>${escapeHtml(section.note)}</p>`);
+
+    for (const table of section.tables) {
+      if (table.title) body.push(`<h3>${escapeHtml(table.title)}</h3>`);
+      if (table.rows.length === 0) {
+        body.push(`<p class="empty">${escapeHtml(table.empty)}</p>`);
+        continue;
+      }
+      const header = table.columns
+        .map(column => `<th${column.align === 'right' ? ' class="right"' : ''}>${escapeHtml(column.label)}</th>`)
+        .join('');
+      const rows = table.rows
+        .map(row => `<tr>${row.map((cell, index) => htmlCell(cell, table.columns[index])).join('')}</tr>`)
+        .join('\n');
+      body.push(`<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>`);
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(getTitle(digest))}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+export function renderDigest(snapshot, format = 'markdown', options = {}) {
+  const digest = buildDigest(snapshot, options);
+  return format === 'html' ? renderDigestHtml(digest) : renderDigestMarkdown(digest);
+}
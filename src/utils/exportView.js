@@ -0,0 +1,115 @@
+// Export the movers table exactly as displayed, with raw (unformatted) numbers.
+import { getMarketUrl } from './marketAnalyzer.js';
+
+// Column order shared by CSV and Markdown; JSON keeps the same keys
+const COLUMNS = [
+  ['rank', 'Rank'],
+  ['question', 'Question'],
+  ['category', 'Category'],
+  ['categories', 'Categories'],
+  ['currentPrice', 'Current Price'],
+  ['high', 'High'],
+  ['low', 'Low'],
+  ['netChange', 'Net Change'],
+  ['netChangePercent', 'Net Change %'],
+  ['movement', 'Movement'],
+  ['movementPercent', 'Movement %'],
+  ['unusualScore', 'Unusual Score'],
+  ['volume', 'Volume'],
+  ['liquidity', 'Liquidity'],
+  ['bestBid', 'Best Bid'],
+  ['bestAsk', 'Best Ask'],
+  ['spread', 'Spread'],
+  ['depth', 'Depth'],
+  ['moveSource', 'Move Source'],
+  ['window', 'Window'],
+  ['marketSlug', 'Slug'],
+  ['url', 'URL'],
+  ['endDate', 'End Date'],
+  ['outcomes', 'Outcome Prices'],
+  ['fetchedAt', 'Fetched At']
+];
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', type: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' }
+};
+
+// One plain row per displayed market, in display order
+export function getExportRows(markets, { fetchedAt } = {}) {
+  const fetchedAtIso = fetchedAt ? new Date(fetchedAt).toISOString() : null;
+
+  return markets.map((market, index) => ({
+    rank: index + 1,
+    question: market.question,
+    category: market.category,
+    categories: market.categories || [market.category],
+    currentPrice: market.currentPrice,
+    high: market.high,
+    low: market.low,
+    netChange: market.netChange,
+    netChangePercent: market.netChangePercent,
+    movement: market.movement,
+    movementPercent: market.movementPercent,
+    unusualScore: market.unusualScore,
+    volume: market.volume,
+    liquidity: market.liquidity,
+    bestBid: market.bestBid ?? null,
+    bestAsk: market.bestAsk ?? null,
+    spread: market.spread ?? null,
+    depth: market.depth ?? null,
+    moveSource: market.moveSource?.type ?? null,
+    window: market.window,
+    marketSlug: market.marketSlug || null,
+    url: getMarketUrl(market),
+    endDate: market.endDate || null,
+    outcomes: (market.tokens || []).map(token => ({ outcome: token.outcome, price: token.price })),
+    fetchedAt: fetchedAtIso
+  }));
+}
+
+// Outcome prices flattened for text formats, e.g. "Yes=0.62; No=0.38"
+const formatOutcomes = (outcomes) => outcomes.map(({ outcome, price }) => `${outcome}=${price ?? ''}`).join('; ');
+
+const cellText = (row, key) => {
+  const value = row[key];
+  if (key === 'outcomes') return formatOutcomes(value);
+  if (key === 'categories') return value.join('; ');
+  return value === null || value === undefined ? '' : String(value);
+};
+
+const escapeCsv = (text) => (/[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+export function toCsv(rows) {
+  const lines = [COLUMNS.map(([, label]) => escapeCsv(label)).join(',')];
+  for (const row of rows) {
+    lines.push(COLUMNS.map(([key]) => escapeCsv(cellText(row, key))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+export function toJson(rows, meta = {}) {
+  return JSON.stringify({ ...meta, count: rows.length, markets: rows }, null, 2);
+}
+
+const escapeMarkdown = (text) => text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+export function toMarkdown(rows) {
+  const lines = [
+    `| ${COLUMNS.map(([, label]) => label).join(' | ')} |`,
+    `| ${COLUMNS.map(() => '---').join(' | ')} |`
+  ];
+  for (const row of rows) {
+    lines.push(`| ${COLUMNS.map(([key]) => escapeMarkdown(cellText(row, key))).join(' | ')} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Serialize displayed markets in `format`; `meta` describes the view (JSON only)
+export function exportView(markets, format, { fetchedAt, meta } = {}) {
+  const rows = getExportRows(markets, { fetchedAt });
+  if (format === 'csv') return toCsv(rows);
+  if (format === 'markdown') return toMarkdown(rows);
+  return toJson(rows, { exportedAt: new Date().toISOString(), ...meta });
+}
@@ -0,0 +1,24 @@
+// Display formatters shared by the Dashboard and its panels.
+// Prices and movements are 0-1 probabilities shown in cents.
+
+export const formatPrice = (price) => (price === null || price === undefined ? '—' : `${(price * 100).toFixed(1)}¢`);
+
+export const formatMovement = (movement) => (movement === null || movement === undefined ? 'No data' : `${(movement * 100).toFixed(1)}¢`);
+
+export const formatNetChange = (netChange) => {
+  if (netChange === null || netChange === undefined) return 'No data';
+  const sign = netChange > 0 ? '+' : '';
+  return `${sign}${(netChange * 100).toFixed(1)}¢`;
+};
+
+export const formatPercent = (percent) => {
+  if (percent === null || percent === undefined) return '';
+  const sign = percent > 0 ? '+' : '';
+  return `${sign}${percent.toFixed(1)}%`;
+};
+
+export const formatVolume = (volume) => {
+  if (volume >= 1000000) return `$${(volume / 1000000).toFixed(1)}M`;
+  if (volume >= 1000) return `$${(volume / 1000).toFixed(1)}K`;
+  return `$${volume.toFixed(0)}`;
+};
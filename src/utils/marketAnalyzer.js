@@ -1,54 +1,196 @@
 import { differenceInHours, parseISO } from 'date-fns';
+import { getMovementWindow, DEFAULT_WINDOW } from './movementWindows.js';
+
+// Compare by a numeric field, sending markets without that value to the end
+const compareBy = (field, direction) => (a, b) => {
+  const aHas = typeof a[field] === 'number';
+  const bHas = typeof b[field] === 'number';
+  if (aHas !== bHas) return aHas ? -1 : 1;
+  if (!aHas) return 0;
+  return direction === 'asc' ? a[field] - b[field] : b[field] - a[field];
+};
+
+// Ranking modes for the movers table
+export const SORT_MODES = {
+  range: { label: 'Largest range', compare: compareBy('movement', 'desc') },
+  gainers: { label: 'Biggest gainers', compare: compareBy('netChange', 'desc') },
+  losers: { label: 'Biggest losers', compare: compareBy('netChange', 'asc') },
+  absolute: { label: 'Largest net change', compare: compareBy('absNetChange', 'desc') },
+  unusual: {
+    label: 'Most unusual',
+    compare: compareBy('unusualScore', 'desc'),
+    description: 'Net change measured against the market\'s own typical noise in the window, in log-odds so moves near 0¢ or 100¢ count for more, then scaled down for thin volume and liquidity. Around 3 or more is a move the market rarely makes by chance.'
+  },
+};
+
+export const DEFAULT_SORT_MODE = 'range';
+
+// Compare by a text field, alphabetically
+const compareText = (field, direction) => (a, b) => {
+  const result = (a[field] || '').localeCompare(b[field] || '');
+  return direction === 'asc' ? result : -result;
+};
+
+// Sortable table columns; numeric columns default to descending, text to ascending
+export const SORT_COLUMNS = {
+  question: { label: 'Question', type: 'text' },
+  category: { label: 'Category', type: 'text' },
+  currentPrice: { label: 'Current Price', type: 'number' },
+  high: { label: 'High', type: 'number' },
+  low: { label: 'Low', type: 'number' },
+  netChange: { label: 'Net Change', type: 'number' },
+  movement: { label: 'Movement', type: 'number' },
+  volume: { label: 'Volume', type: 'number' },
+  spread: { label: 'Spread', type: 'number' },
+  depth: { label: 'Depth', type: 'number' },
+};
+
+export const getDefaultSortDirection = (column) => (
+  SORT_COLUMNS[column]?.type === 'text' ? 'asc' : 'desc'
+);
+
+// Comparator for a ranking mode or a column in the given direction
+export function getComparator(sortBy = DEFAULT_SORT_MODE, direction) {
+  const column = SORT_COLUMNS[sortBy];
+  if (column) {
+    const columnDirection = direction || getDefaultSortDirection(sortBy);
+    return column.type === 'text'
+      ? compareText(sortBy, columnDirection)
+      : compareBy(sortBy, columnDirection);
+  }
+  return (SORT_MODES[sortBy] || SORT_MODES[DEFAULT_SORT_MODE]).compare;
+}
+
+// Split a search query into lowercase terms; every term must match
+export const getSearchTerms = (query) => (
+  (query || '').toLowerCase().split(/\s+/).filter(Boolean)
+);
+
+// Filter panel defaults, passed straight to filterAndSortMarkets
+export const DEFAULT_FILTERS = {
+  minimumVolume: 50, // $50 volume over the movement window
+  minimumLiquidity: 0,
+  minimumMovement: 0.005, // 0.5 cents
+  minPrice: 0,
+  maxPrice: 1,
+  excludeResolvingSoon: true,
+  resolvingSoonHours: 24,
+  maxDaysToResolution: 0,
+  limit: 100
+};
+
+// Lowest and highest value of each numeric filter, shared by the filter panel and the URL parser
+export const FILTER_BOUNDS = {
+  minimumVolume: { min: 0, max: 100000 },
+  minimumLiquidity: { min: 0, max: 100000 },
+  minimumMovement: { min: 0, max: 0.5 },
+  minPrice: { min: 0, max: 1 },
+  maxPrice: { min: 0, max: 1 },
+  resolvingSoonHours: { min: 1, max: 168 },
+  maxDaysToResolution: { min: 0, max: 365 },
+  limit: { min: 10, max: 1000 }
+};
+
+export const clampFilter = (key, value) => Math.min(FILTER_BOUNDS[key].max, Math.max(FILTER_BOUNDS[key].min, value));
+
+// Filters with every numeric value inside FILTER_BOUNDS and the price band the right way round
+export function normalizeFilters(filters) {
+  const normalized = { ...filters };
+  for (const key of Object.keys(FILTER_BOUNDS)) {
+    normalized[key] = Number.isFinite(filters[key]) ? clampFilter(key, filters[key]) : DEFAULT_FILTERS[key];
+  }
+  if (normalized.minPrice > normalized.maxPrice) {
+    [normalized.minPrice, normalized.maxPrice] = [normalized.maxPrice, normalized.minPrice];
+  }
+  return normalized;
+}
+
+// Prices are clamped before converting to log-odds so 0 and 1 stay finite
+const toLogOdds = (price) => {
+  const clamped = Math.min(0.99, Math.max(0.01, price));
+  return Math.log(clamped / (1 - clamped));
+};
+
+// Floor on window volatility (log-odds) so flat histories don't turn tiny moves into huge scores
+const MIN_VOLATILITY = 0.05;
+
+// Keyword lists per category; users can replace them (see utils/categories.js)
+export const DEFAULT_CATEGORY_MAPPINGS = {
+  'politics': ['politics', 'election', 'government', 'policy', 'candidate'],
+  'sports': ['sports', 'nfl', 'nba', 'mlb', 'nhl', 'soccer', 'football', 'basketball', 'baseball', 'hockey'],
+  'crypto': ['crypto', 'bitcoin', 'ethereum', 'blockchain', 'defi', 'nft'],
+  'entertainment': ['entertainment', 'movie', 'music', 'celebrity', 'award', 'tv', 'streaming'],
+  'technology': ['technology', 'tech', 'ai', 'artificial intelligence', 'software', 'startup'],
+  'finance': ['finance', 'stock', 'economy', 'gdp', 'inflation', 'federal reserve'],
+  'weather': ['weather', 'climate', 'hurricane', 'temperature', 'rain', 'snow'],
+  'other': []
+};
+
+// A keyword matches as a whole word or phrase, optionally plural, so 'ai' doesn't match "said"
+const toKeywordPattern = (keyword) => {
+  const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}(e?s)?($|[^a-z0-9])`);
+};
 
 export class MarketAnalyzer {
-  constructor() {
-    this.categoryMappings = {
-      'politics': ['politics', 'election', 'government', 'policy', 'candidate'],
-      'sports': ['sports', 'nfl', 'nba', 'mlb', 'nhl', 'soccer', 'football', 'basketball', 'baseball', 'hockey'],
-      'crypto': ['crypto', 'bitcoin', 'ethereum', 'blockchain', 'defi', 'nft'],
-      'entertainment': ['entertainment', 'movie', 'music', 'celebrity', 'award', 'tv', 'streaming'],
-      'technology': ['technology', 'tech', 'ai', 'artificial intelligence', 'software', 'startup'],
-      'finance': ['finance', 'stock', 'market', 'economy', 'gdp', 'inflation', 'federal reserve'],
-      'weather': ['weather', 'climate', 'hurricane', 'temperature', 'rain', 'snow'],
-      'other': []
-    };
+  constructor({ categoryMappings = DEFAULT_CATEGORY_MAPPINGS } = {}) {
+    this.setCategoryMappings(categoryMappings);
   }
 
-  // Categorize a market based on its question and tags
+  setCategoryMappings(categoryMappings) {
+    this.categoryMappings = categoryMappings;
+    this.categoryPatterns = Object.entries(categoryMappings)
+      .filter(([category]) => category !== 'other')
+      .map(([category, keywords]) => [category, keywords.filter(Boolean).map(toKeywordPattern)]);
+  }
+
+  // Every category with a keyword matching one of the market's tags, then those matching its question, in mapping order.
+  // Descriptions are left out: their boilerplate ("This market will resolve…") would match almost any keyword list.
+  // Markets matching none fall back to their first tag, so unmapped tags still become categories.
   categorizeMarket(market) {
-    const text = `${market.question} ${market.description || ''} ${(market.tags || []).join(' ')}`.toLowerCase();
-    
-    for (const [category, keywords] of Object.entries(this.categoryMappings)) {
-      if (category === 'other') continue;
-      
-      if (keywords.some(keyword => text.includes(keyword))) {
-        return category;
-      }
-    }
-    
-    return 'other';
+    const tagNames = getTagNames(market).map(name => name.toLowerCase());
+    const question = (market.question || '').toLowerCase();
+    const matching = (texts) => this.categoryPatterns
+      .filter(([, patterns]) => patterns.some(pattern => texts.some(text => pattern.test(text))))
+      .map(([category]) => category);
+
+    const categories = [...new Set([...matching(tagNames), ...matching([question])])];
+    if (categories.length > 0) return categories;
+    return [tagNames[0] || 'other'];
   }
 
-  // Check if market resolves within 24 hours
-  isResolvingSoon(market, hoursThreshold = 24) {
-    if (!market.endDateIso) return false;
-    
+  // Get the end date from raw Gamma (end_date_iso), processed (endDate) or legacy (endDateIso) markets
+  getEndDate(market) {
+    return market.endDate || market.end_date_iso || market.endDateIso || null;
+  }
+
+  // Hours from `now` until the market resolves, or null when there is no usable end date
+  getHoursToResolution(market, now = new Date()) {
+    const endDateIso = this.getEndDate(market);
+    if (!endDateIso) return null;
+
     try {
-      const endDate = parseISO(market.endDateIso);
-      const now = new Date();
-      const hoursUntilResolution = differenceInHours(endDate, now);
-      
-      return hoursUntilResolution <= hoursThreshold && hoursUntilResolution >= 0;
+      const endDate = parseISO(endDateIso);
+      const hours = differenceInHours(endDate, now);
+      return Number.isNaN(hours) ? null : hours;
     } catch (error) {
-      console.warn('Error parsing end date:', market.endDateIso, error);
-      return false;
+      console.warn('Error parsing end date:', endDateIso, error);
+      return null;
     }
   }
 
+  // Check if market resolves within 24 hours
+  isResolvingSoon(market, hoursThreshold = 24, now = new Date()) {
+    const hoursUntilResolution = this.getHoursToResolution(market, now);
+    if (hoursUntilResolution === null) return false;
+
+    return hoursUntilResolution <= hoursThreshold && hoursUntilResolution >= 0;
+  }
+
   // Calculate price movement for markets
   calculatePriceMovement(priceHistory) {
     if (!priceHistory || priceHistory.length === 0) {
-      return { high: 0, low: 0, movement: 0, currentPrice: 0 };
+      return { high: 0, low: 0, movement: 0, currentPrice: 0, openPrice: 0, netChange: 0 };
     }
 
     // Sort by timestamp to ensure chronological order
@@ -67,11 +209,17 @@ export class MarketAnalyzer {
     // Ensure mathematical consistency
     const finalCurrentPrice = Math.max(low, Math.min(high, currentPrice));
 
+    // Open price is the earliest price in the window; net change is signed
+    const openPrice = prices[0] || 0;
+    const netChange = finalCurrentPrice - openPrice;
+
     return {
       high: parseFloat(high.toFixed(4)),
       low: parseFloat(low.toFixed(4)),
       movement: parseFloat(movement.toFixed(4)),
-      currentPrice: parseFloat(finalCurrentPrice.toFixed(4))
+      currentPrice: parseFloat(finalCurrentPrice.toFixed(4)),
+      openPrice: parseFloat(openPrice.toFixed(4)),
+      netChange: parseFloat(netChange.toFixed(4))
     };
   }
 
@@ -96,7 +244,7 @@ export class MarketAnalyzer {
 
   // Process and enrich market data
   processMarket(market, priceHistory = []) {
-    const category = this.categorizeMarket(market);
+    const categories = this.categorizeMarket(market);
     const isResolvingSoon = this.isResolvingSoon(market);
     const priceMovement = this.calculatePriceMovement(priceHistory);
     
@@ -106,7 +254,8 @@ export class MarketAnalyzer {
     
     return {
       ...market,
-      category,
+      category: categories[0],
+      categories,
       isResolvingSoon,
       currentPrice,
       high: priceMovement.high,
@@ -121,46 +270,176 @@ export class MarketAnalyzer {
   filterAndSortMarkets(markets, options = {}) {
     const {
       excludeResolvingSoon = true,
+      resolvingSoonHours = 24, // what counts as "resolving soon"
+      maxDaysToResolution = 0, // 0 = no upper bound
       minimumMovement = 0.01, // 1 cent minimum movement
-      minimumVolume = 100, // $100 minimum 24h volume
-      limit = 50
+      minimumVolume = 100, // $100 minimum volume over the movement window
+      minimumLiquidity = 0,
+      minPrice = 0, // price band on the current price
+      maxPrice = 1,
+      searchQuery = '',
+      sortBy = DEFAULT_SORT_MODE,
+      sortDirection,
+      limit = 50,
+      asOf = new Date() // reference time for resolution checks (replays rank as of a past moment)
     } = options;
 
     let filtered = markets.filter(market => {
       // Exclude markets resolving soon if requested
-      if (excludeResolvingSoon && market.isResolvingSoon) {
+      if (excludeResolvingSoon && this.isResolvingSoon(market, resolvingSoonHours, asOf)) {
         return false;
       }
 
+      // Exclude markets resolving further out than requested
+      if (maxDaysToResolution > 0) {
+        const hoursToResolution = this.getHoursToResolution(market, asOf);
+        if (hoursToResolution !== null && hoursToResolution > maxDaysToResolution * 24) {
+          return false;
+        }
+      }
+
       // Exclude inactive or closed markets
       if (market.closed || market.archived || !market.active) {
         return false;
       }
 
-      // Minimum movement threshold
-      if (market.movement < minimumMovement) {
+      // Minimum movement threshold (markets without price data only pass when no minimum is set)
+      if (typeof market.movement !== 'number') {
+        if (minimumMovement > 0) return false;
+      } else if (market.movement < minimumMovement) {
+        return false;
+      }
+
+      // Minimum volume threshold (window volume when processed, raw 24h otherwise)
+      if ((market.volume ?? market.volume24hr) < minimumVolume) {
+        return false;
+      }
+
+      // Minimum liquidity threshold
+      if ((market.liquidity ?? market.liquidityUSD ?? 0) < minimumLiquidity) {
         return false;
       }
 
-      // Minimum volume threshold
-      if (market.volume24hr < minimumVolume) {
+      // Price band, e.g. drop near-certain markets above 97¢ or below 3¢
+      const price = market.currentPrice ?? this.getCurrentPrice(market);
+      if (price < minPrice || price > maxPrice) {
+        return false;
+      }
+
+      // Free-text search
+      if (!this.matchesSearch(market, searchQuery)) {
         return false;
       }
 
       return true;
     });
 
-    // Sort by movement descending
-    filtered.sort((a, b) => b.movement - a.movement);
+    // Sort by the selected ranking mode or column
+    filtered = this.sortMarkets(filtered, sortBy, sortDirection);
 
     // Limit results
     return filtered.slice(0, limit);
   }
 
-  // Calculate movement percentage
+  // Sort markets by one of SORT_MODES or SORT_COLUMNS without mutating the input.
+  // `direction` only applies to columns; ranking modes have a fixed order.
+  sortMarkets(markets, sortBy = DEFAULT_SORT_MODE, direction) {
+    return [...markets].sort(getComparator(sortBy, direction));
+  }
+
+  // Text searched by the Dashboard search box
+  getSearchableFields(market) {
+    const tags = (market.tags || [])
+      .map(tag => (typeof tag === 'string' ? tag : tag?.label || tag?.slug || ''))
+      .join(' ');
+    return {
+      question: market.question || '',
+      description: market.description || '',
+      eventTitle: market.eventTitle || '',
+      tags
+    };
+  }
+
+  // Short excerpt around the first search match outside the question, for display
+  getSearchSnippet(market, query, radius = 40) {
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) return null;
+
+    const { question, ...otherFields } = this.getSearchableFields(market);
+    const lowerQuestion = question.toLowerCase();
+    if (terms.every(term => lowerQuestion.includes(term))) return null;
+
+    for (const [field, text] of Object.entries(otherFields)) {
+      const lowerText = text.toLowerCase();
+      const term = terms.find(t => lowerText.includes(t));
+      if (!term) continue;
+
+      const index = lowerText.indexOf(term);
+      const start = Math.max(0, index - radius);
+      const end = Math.min(text.length, index + term.length + radius);
+      return {
+        field,
+        text: `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`
+      };
+    }
+    return null;
+  }
+
+  // Check that every search term appears in the question, description, event title or tags
+  matchesSearch(market, query) {
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) return true;
+
+    const text = Object.values(this.getSearchableFields(market)).join(' ').toLowerCase();
+    return terms.every(term => text.includes(term));
+  }
+
+  // Calculate movement (high - low) as a percentage of the low
   calculateMovementPercentage(market) {
-    if (market.low === 0) return 0;
-    return ((market.movement / market.low) * 100).toFixed(1);
+    if (!market.low) return 0;
+    return parseFloat(((market.movement / market.low) * 100).toFixed(1));
+  }
+
+  // Calculate signed net change as a percentage of the open price
+  calculateNetChangePercentage(market) {
+    if (!market.openPrice) return 0;
+    return parseFloat(((market.netChange / market.openPrice) * 100).toFixed(1));
+  }
+
+  // Typical noise over a window, in log-odds: the robust (median absolute deviation)
+  // spread of point-to-point log-odds changes, scaled by the square root of the number
+  // of steps. Using the median keeps a single news jump from inflating its own baseline.
+  calculateVolatility(priceHistory) {
+    const logits = (priceHistory || []).map(point => toLogOdds(parseFloat(point.price)));
+    const steps = logits.slice(1).map((value, index) => value - logits[index]);
+    if (steps.length < 2) return MIN_VOLATILITY;
+
+    const median = (values) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+    const center = median(steps);
+    const stepSigma = 1.4826 * median(steps.map(step => Math.abs(step - center)));
+
+    return parseFloat(Math.max(MIN_VOLATILITY, stepSigma * Math.sqrt(steps.length)).toFixed(4));
+  }
+
+  // How much to trust a move given the money behind it, from 0 to 1.
+  // Reaches 1 at $100K window volume and $10K liquidity, on a log scale.
+  calculateConfidence(volume, liquidity) {
+    const volumeWeight = Math.min(1, Math.log10(1 + (volume || 0)) / 5);
+    const liquidityWeight = Math.min(1, Math.log10(1 + (liquidity || 0)) / 4);
+    return parseFloat(Math.sqrt(volumeWeight * liquidityWeight).toFixed(3));
+  }
+
+  // Unusual-move score: the net change in log-odds, divided by the market's own
+  // volatility and weighted by confidence. Log-odds make a 10¢ move near 2¢ or 98¢
+  // count for more than the same move near 50¢. A score of 3 is roughly a 3-sigma move.
+  calculateUnusualScore({ openPrice, currentPrice, volatility, confidence }) {
+    if (typeof openPrice !== 'number' || !volatility) return null;
+    const move = Math.abs(toLogOdds(currentPrice) - toLogOdds(openPrice));
+    return parseFloat(((move / volatility) * confidence).toFixed(2));
   }
 
   // Format price as percentage (for prediction markets)
@@ -175,10 +454,84 @@ export class MarketAnalyzer {
     if (movement > 0.02) return 'text-yellow-500 dark:text-yellow-400'; // Low movement
     return 'text-gray-500 dark:text-gray-400'; // Minimal movement
   }
+
+  // Get net change color for UI (green up, red down)
+  getNetChangeColor(netChange) {
+    if (netChange === null || netChange === undefined) return 'text-gray-500 dark:text-gray-400'; // No data
+    if (netChange > 0) return 'text-green-600 dark:text-green-400';
+    if (netChange < 0) return 'text-red-600 dark:text-red-400';
+    return 'text-gray-600 dark:text-gray-300';
+  }
+}
+
+// Tag labels (Gamma returns tag objects or strings), without the catch-all "All" tag
+export function getTagNames(market) {
+  return (market.tags || [])
+    .map(tag => {
+      if (typeof tag === 'string') return tag;
+      if (tag && tag.label) return tag.label;
+      if (tag && tag.slug) return tag.slug;
+      return '';
+    })
+    .filter(name => name && name.toLowerCase() !== 'all');
+}
+
+// Parse a token price that may arrive as a string or number
+const parseTokenPrice = (price) => (
+  typeof price === 'string' ? parseFloat(price) || 0.5 : price
+);
+
+// Get tokens that carry a usable price
+export function getValidTokens(market) {
+  return (market.tokens || []).filter(token => {
+    return token && (token.price !== undefined && token.price !== null);
+  });
+}
+
+// Find the primary outcome token (Yes, first option, etc.)
+export function getPrimaryToken(market) {
+  const validTokens = getValidTokens(market);
+  return validTokens.find(token =>
+    token.outcome && (
+      token.outcome.toLowerCase().includes('yes') ||
+      token.outcome.toLowerCase().includes('win')
+    )
+  ) || validTokens[0] || null;
+}
+
+// Collect the CLOB token ids whose price history drives the movement stats
+export function getPrimaryTokenIds(markets) {
+  return (markets || [])
+    .map(market => getPrimaryToken(market)?.token_id)
+    .filter(Boolean);
+}
+
+// Deep link to a market on polymarket.com
+export function getMarketUrl(market) {
+  if (market.eventSlug && market.marketSlug) {
+    return `https://polymarket.com/event/${market.eventSlug}/${market.marketSlug}`;
+  }
+  if (market.eventSlug) {
+    return `https://polymarket.com/event/${market.eventSlug}`;
+  }
+  if (market.marketSlug) {
+    return `https://polymarket.com/market/${market.marketSlug}`;
+  }
+  return null;
 }
 
-// Process Polymarket Gamma API data
-export function processRealMarketData(markets) {
+// Keep only history points inside the movement window
+export function trimHistory(history, hours) {
+  const cutoff = Date.now() - hours * 60 * 60 * 1000;
+  return history.filter(point => new Date(point.timestamp).getTime() >= cutoff);
+}
+
+// Process Polymarket Gamma API data.
+// `priceHistories` maps CLOB token_id -> [{ timestamp, price }] from fetchPriceHistories,
+// fetched for the movement window named by `options.window` (see movementWindows.js).
+export function processRealMarketData(markets, priceHistories = {}, options = {}) {
+  const movementWindow = getMovementWindow(options.window || DEFAULT_WINDOW);
+
   console.log('🔍 === Processing Gamma API Market Data ===');
   console.log('📋 Input markets length:', markets?.length);
 
@@ -221,102 +574,120 @@ export function processRealMarketData(markets) {
 
   console.log(`✅ ${activeMarkets.length} active markets after filtering`);
 
+  const analyzer = new MarketAnalyzer({ categoryMappings: options.categoryMappings });
+
   // Process each market
   const processed = activeMarkets.map(market => {
     // Get valid tokens with prices
-    let validTokens = (market.tokens || []).filter(token => {
-      return token && (token.price !== undefined && token.price !== null);
-    });
+    let validTokens = getValidTokens(market);
 
     // If no valid tokens, create a default
     if (validTokens.length === 0) {
       validTokens = [{ outcome: 'Yes', price: 0.5 }];
     }
 
-    // Find the primary outcome token (Yes, first option, etc.)
-    const primaryToken = validTokens.find(token =>
-      token.outcome && (
-        token.outcome.toLowerCase().includes('yes') ||
-        token.outcome.toLowerCase().includes('win')
-      )
-    ) || validTokens[0];
+    const primaryToken = getPrimaryToken({ tokens: validTokens });
 
     // Get current price
     let currentPrice = 0.5;
     if (primaryToken.price !== undefined && primaryToken.price !== null) {
-      currentPrice = typeof primaryToken.price === 'string'
-        ? parseFloat(primaryToken.price) || 0.5
-        : primaryToken.price;
+      currentPrice = parseTokenPrice(primaryToken.price);
     }
 
-    // Calculate price movement based on token spread
-    const prices = validTokens.map(token => {
-      return typeof token.price === 'string' ? parseFloat(token.price) || 0.5 : token.price;
-    }).filter(p => !isNaN(p));
-
-    const tokenSpread = prices.length > 1 ? Math.max(...prices) - Math.min(...prices) : 0.1;
-    const baseVariation = Math.max(0.05, Math.min(0.20, tokenSpread * 1.5));
-    const randomVariation = (Math.random() - 0.5) * baseVariation;
-
-    const high = Math.min(1, currentPrice + Math.abs(randomVariation));
-    const low = Math.max(0, currentPrice - Math.abs(randomVariation));
-    const movement = high - low;
-
-    // Create analyzer instance for categorization
-    const analyzer = new MarketAnalyzer();
-
-    // Determine category from tags (Gamma API returns tag objects or strings)
-    let category = 'other';
-    if (market.tags && market.tags.length > 0) {
-      // Handle both string tags and tag objects from Gamma API
-      const tagNames = market.tags.map(tag => {
-        if (typeof tag === 'string') return tag;
-        if (tag && tag.label) return tag.label;
-        if (tag && tag.slug) return tag.slug;
-        return '';
-      }).filter(t => t && t.toLowerCase() !== 'all');
-
-      if (tagNames.length > 0) {
-        category = tagNames[0].toLowerCase();
-      }
+    // Calculate price movement from the primary token's real price history.
+    // The live price is included so the range always contains the current quote.
+    const history = trimHistory(
+      (primaryToken.token_id && priceHistories[primaryToken.token_id]) || [],
+      movementWindow.hours
+    );
+    const hasPriceData = history.length > 0;
+
+    let priceStats = {
+      high: null,
+      low: null,
+      movement: null,
+      openPrice: null,
+      netChange: null,
+      absNetChange: null,
+      netChangePercent: null,
+      movementPercent: null,
+      volatility: null,
+      unusualScore: null
+    };
+    if (hasPriceData) {
+      const windowHistory = [
+        ...history,
+        { timestamp: new Date().toISOString(), price: currentPrice }
+      ];
+      const priceMovement = analyzer.calculatePriceMovement(windowHistory);
+      const volatility = analyzer.calculateVolatility(windowHistory);
+      priceStats = {
+        high: priceMovement.high,
+        low: priceMovement.low,
+        movement: priceMovement.movement,
+        openPrice: priceMovement.openPrice,
+        netChange: priceMovement.netChange,
+        absNetChange: Math.abs(priceMovement.netChange),
+        netChangePercent: analyzer.calculateNetChangePercentage(priceMovement),
+        movementPercent: analyzer.calculateMovementPercentage(priceMovement),
+        volatility
+      };
     }
 
-    // If no good tag found, categorize by question content
-    if (category === 'other') {
-      category = analyzer.categorizeMarket(market);
-    }
+    // A market can sit in several categories; `category` is the first, used for sorting
+    const categories = analyzer.categorizeMarket(market);
 
-    // Use actual volume from API if available, otherwise estimate
-    const volume24h = market.volume24hr || market.volumeNum || (5000 + Math.random() * 50000);
+    // Use actual volume from API; never estimate
+    const volume24h = market.volume24hr || 0;
+    const volume = market[movementWindow.volumeField] || 0;
+    const confidence = analyzer.calculateConfidence(volume, market.liquidity);
 
     return {
       id: market.condition_id || market.question_id,
       question: market.question,
-      category: category,
+      category: categories[0],
+      categories,
+      active: market.active !== false,
+      closed: market.closed === true,
+      archived: market.archived === true,
+      isResolvingSoon: analyzer.isResolvingSoon(market),
       currentPrice: parseFloat(currentPrice.toFixed(4)),
-      high: parseFloat(high.toFixed(4)),
-      low: parseFloat(low.toFixed(4)),
-      movement: parseFloat(movement.toFixed(4)),
+      ...priceStats,
+      confidence,
+      unusualScore: hasPriceData ? analyzer.calculateUnusualScore({ ...priceStats, currentPrice, confidence }) : null,
+      hasPriceData,
+      volume: Math.floor(volume),
       volume24h: Math.floor(volume24h),
+      volumeTotal: Math.floor(market.volumeNum || 0),
+      liquidity: Math.floor(market.liquidity || 0),
+      window: movementWindow.key,
       endDate: market.end_date_iso,
+      createdAt: market.created_at || null,
       description: market.description,
       tags: market.tags || [],
       marketSlug: market.market_slug,
+      primaryTokenId: primaryToken.token_id || null,
+      eventId: market.event_id || null,
+      eventTitle: market.event_title,
+      eventSlug: market.event_slug,
+      eventNegRisk: market.event_neg_risk || false,
+      outcomeLabel: market.group_item_title || null,
       tokens: validTokens.map(token => ({
+        tokenId: token.token_id || null,
         outcome: token.outcome || 'Unknown',
-        price: typeof token.price === 'string' ? parseFloat(token.price) || 0.5 : token.price,
+        price: parseTokenPrice(token.price),
         winner: token.winner
       }))
     };
   })
-  .sort((a, b) => b.movement - a.movement);
+  .sort(SORT_MODES[DEFAULT_SORT_MODE].compare);
 
   console.log(`🎉 Processing complete: ${processed.length} markets ready for display`);
 
   if (processed.length > 0) {
     console.log('📈 Top 3 by movement:', processed.slice(0, 3).map(m => ({
       question: m.question?.substring(0, 50),
-      movement: m.movement.toFixed(4),
+      movement: m.hasPriceData ? m.movement.toFixed(4) : 'no data',
       price: m.currentPrice.toFixed(2)
     })));
   }
@@ -324,4 +695,215 @@ export function processRealMarketData(markets) {
   return processed;
 }
 
+// Summarize closed markets (from PolymarketAPI.fetchResolvedMarkets) with their winning outcome.
+// Resolved outcomes settle at 1 or 0; `winner` is null while a closed market awaits resolution.
+export function processResolvedMarkets(markets, options = {}) {
+  const analyzer = new MarketAnalyzer({ categoryMappings: options.categoryMappings });
+
+  return (markets || []).map(market => {
+    const categories = analyzer.categorizeMarket(market);
+    const winner = (market.tokens || []).find(token => parseFloat(token.price) >= 0.99);
+
+    return {
+      id: market.condition_id || market.question_id,
+      question: market.question,
+      category: categories[0],
+      categories,
+      winner: winner?.outcome || null,
+      closedAt: market.closed_time || market.end_date_iso || null,
+      endDate: market.end_date_iso,
+      volumeTotal: Math.floor(market.volumeNum || 0),
+      marketSlug: market.market_slug,
+      eventTitle: market.event_title,
+      eventSlug: market.event_slug,
+      outcomeLabel: market.group_item_title || null
+    };
+  });
+}
+
+// Re-run categorization on processed markets, e.g. after the keyword lists are edited
+export function applyCategoryMappings(markets, categoryMappings) {
+  const analyzer = new MarketAnalyzer({ categoryMappings });
+  return markets.map(market => {
+    const categories = analyzer.categorizeMarket(market);
+    return { ...market, category: categories[0], categories };
+  });
+}
+
+// Fold a streamed price for `tokenId` into a processed market.
+// The primary token's quote moves currentPrice and widens high/low; other outcome
+// tokens only update their own price. Returns the same object when nothing changed.
+export function applyLivePrice(market, tokenId, price) {
+  const tokenIndex = market.tokens.findIndex(token => token.tokenId === tokenId);
+  if (tokenIndex === -1 || market.tokens[tokenIndex].price === price) return market;
+
+  const tokens = market.tokens.map((token, index) => (
+    index === tokenIndex ? { ...token, price } : token
+  ));
+
+  if (tokenId !== market.primaryTokenId) {
+    return { ...market, tokens };
+  }
+
+  const updated = { ...market, tokens, currentPrice: price };
+  if (!market.hasPriceData) return updated;
+
+  const analyzer = new MarketAnalyzer();
+  const high = parseFloat(Math.max(market.high, price).toFixed(4));
+  const low = parseFloat(Math.min(market.low, price).toFixed(4));
+  const movement = {
+    high,
+    low,
+    movement: parseFloat((high - low).toFixed(4)),
+    openPrice: market.openPrice,
+    netChange: parseFloat((price - market.openPrice).toFixed(4))
+  };
+
+  return {
+    ...updated,
+    ...movement,
+    absNetChange: Math.abs(movement.netChange),
+    netChangePercent: analyzer.calculateNetChangePercentage(movement),
+    movementPercent: analyzer.calculateMovementPercentage(movement),
+    unusualScore: analyzer.calculateUnusualScore({ ...market, currentPrice: price })
+  };
+}
+
+// Order book depth is counted within this distance of the midpoint
+export const DEPTH_BAND = 0.02;
+// Spreads at least this wide make the midpoint, and so the movement stats, unreliable
+export const WIDE_SPREAD = 0.05;
+
+// Best bid/ask, spread and the dollar value resting within `band` of the midpoint
+// for a normalized order book (see PolymarketAPI.normalizeOrderBook)
+export function summarizeOrderBook(book, band = DEPTH_BAND) {
+  const bestBid = book?.bids?.[0]?.price ?? null;
+  const bestAsk = book?.asks?.[0]?.price ?? null;
+  if (bestBid === null || bestAsk === null) {
+    return { bestBid, bestAsk, spread: null, midpoint: null, bidDepth: 0, askDepth: 0, depth: 0, isWideSpread: true };
+  }
+
+  const midpoint = (bestBid + bestAsk) / 2;
+  // Rounded bounds so levels exactly 2¢ away aren't lost to floating point
+  const lower = parseFloat((midpoint - band).toFixed(4));
+  const upper = parseFloat((midpoint + band).toFixed(4));
+  const sumLevels = (levels) => levels.reduce((total, level) => total + level.price * level.size, 0);
+  const bidDepth = sumLevels(book.bids.filter(level => level.price >= lower));
+  const askDepth = sumLevels(book.asks.filter(level => level.price <= upper));
+  const spread = parseFloat((bestAsk - bestBid).toFixed(4));
+
+  return {
+    bestBid,
+    bestAsk,
+    spread,
+    midpoint: parseFloat(midpoint.toFixed(4)),
+    bidDepth: Math.round(bidDepth),
+    askDepth: Math.round(askDepth),
+    depth: Math.round(bidDepth + askDepth),
+    isWideSpread: spread >= WIDE_SPREAD
+  };
+}
+
+// Rebuild processed markets as they stood at `at` (ms) from each primary token's
+// chronological history: the last price at or before `at` becomes currentPrice, and
+// high/low/movement/net change cover the `windowHours` before it. Markets with no
+// history by then are left out.
+export function getMarketsAt(markets, priceHistories, at, windowHours) {
+  const analyzer = new MarketAnalyzer();
+  const windowStart = at - windowHours * 60 * 60 * 1000;
+
+  return markets.flatMap(market => {
+    const history = (priceHistories[market.primaryTokenId] || [])
+      .filter(point => new Date(point.timestamp).getTime() <= at);
+    if (history.length === 0) return [];
+
+    const current = history[history.length - 1];
+    const inWindow = history.filter(point => new Date(point.timestamp).getTime() > windowStart);
+    const windowHistory = inWindow.length > 0 ? inWindow : [current];
+    const priceMovement = analyzer.calculatePriceMovement(windowHistory);
+    const volatility = analyzer.calculateVolatility(windowHistory);
+
+    return [{
+      ...market,
+      currentPrice: current.price,
+      hasPriceData: true,
+      high: priceMovement.high,
+      low: priceMovement.low,
+      movement: priceMovement.movement,
+      openPrice: priceMovement.openPrice,
+      netChange: priceMovement.netChange,
+      absNetChange: Math.abs(priceMovement.netChange),
+      netChangePercent: analyzer.calculateNetChangePercentage(priceMovement),
+      movementPercent: analyzer.calculateMovementPercentage(priceMovement),
+      volatility,
+      unusualScore: analyzer.calculateUnusualScore({
+        openPrice: priceMovement.openPrice,
+        currentPrice: current.price,
+        volatility,
+        confidence: market.confidence
+      })
+    }];
+  });
+}
+
+// Nest processed markets under their parent event.
+// Each group carries the event's total implied probability (sum of each market's
+// primary outcome price) and, for mutually exclusive (neg-risk) events, the
+// overround above 100%. The biggest mover is the outcome with the largest net change,
+// whatever the sort. Groups are ranked by their top row under `sortBy`, or by title or
+// total volume when sorting by those columns.
+// `markets` are the rows to show; totals and volume come from every market of the event
+// in `allMarkets`, so outcomes hidden by filters or the row limit still count.
+export function groupMarketsByEvent(markets, sortBy = DEFAULT_SORT_MODE, direction, allMarkets = markets) {
+  const compare = getComparator(sortBy, direction);
+  const columnDirection = direction || getDefaultSortDirection(sortBy);
+  const compareGroups = {
+    question: compareText('title', columnDirection),
+    volume: compareBy('volume', columnDirection)
+  }[sortBy] || ((a, b) => compare(a.markets[0], b.markets[0]));
+  const getKey = (market) => market.eventId || market.eventSlug || market.id;
+  const groups = new Map();
+
+  for (const market of markets) {
+    const key = getKey(market);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        id: key,
+        title: market.eventTitle || market.question,
+        slug: market.eventSlug,
+        category: market.category,
+        mutuallyExclusive: market.eventNegRisk,
+        markets: []
+      });
+    }
+    groups.get(key).markets.push(market);
+  }
+
+  // Event totals count every loaded outcome, including those the filters hide from the rows
+  const eventMarkets = new Map();
+  for (const market of allMarkets) {
+    const key = getKey(market);
+    if (!groups.has(key)) continue;
+    if (!eventMarkets.has(key)) eventMarkets.set(key, []);
+    eventMarkets.get(key).push(market);
+  }
+
+  const result = [...groups.values()].map(group => {
+    const sortedMarkets = [...group.markets].sort(compare);
+    const outcomes = eventMarkets.get(group.id) || group.markets;
+    const totalProbability = outcomes.reduce((sum, market) => sum + (market.currentPrice || 0), 0);
+
+    return {
+      ...group,
+      markets: sortedMarkets,
+      biggestMover: [...group.markets].sort(SORT_MODES.absolute.compare)[0],
+      totalProbability: parseFloat(totalProbability.toFixed(4)),
+      overround: group.mutuallyExclusive ? parseFloat((totalProbability - 1).toFixed(4)) : null,
+      volume: outcomes.reduce((sum, market) => sum + (market.volume || 0), 0)
+    };
+  });
+
+  return result.sort(compareGroups);
+}
+
 export default new MarketAnalyzer();
\ No newline at end of file
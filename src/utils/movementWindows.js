@@ -0,0 +1,37 @@
+// Movement windows selectable in the Dashboard.
+// `interval` and `fidelity` (minutes per point) are passed to the CLOB prices-history
+// endpoint so each range is fetched at a resolution that suits it. Gamma only reports
+// volume for 24h, 1w and 1mo, so shorter windows fall back to the 24h figure.
+export const MOVEMENT_WINDOWS = {
+  '1h': { key: '1h', label: '1h', longLabel: '1-hour', hours: 1, interval: '1h', fidelity: 1, volumeField: 'volume24hr', volumeLabel: '24h' },
+  '6h': { key: '6h', label: '6h', longLabel: '6-hour', hours: 6, interval: '6h', fidelity: 5, volumeField: 'volume24hr', volumeLabel: '24h' },
+  '24h': { key: '24h', label: '24h', longLabel: '24-hour', hours: 24, interval: '1d', fidelity: 15, volumeField: 'volume24hr', volumeLabel: '24h' },
+  '7d': { key: '7d', label: '7d', longLabel: '7-day', hours: 24 * 7, interval: '1w', fidelity: 60, volumeField: 'volume1wk', volumeLabel: '7d' },
+  '30d': { key: '30d', label: '30d', longLabel: '30-day', hours: 24 * 30, interval: '1m', fidelity: 240, volumeField: 'volume1mo', volumeLabel: '30d' },
+};
+
+export const DEFAULT_WINDOW = '24h';
+
+export function getMovementWindow(key) {
+  return MOVEMENT_WINDOWS[key] || MOVEMENT_WINDOWS[DEFAULT_WINDOW];
+}
+
+// Options for PolymarketAPI.fetchPriceHistories for a given window
+export function getHistoryOptions(key) {
+  const { interval, fidelity } = getMovementWindow(key);
+  return { interval, fidelity };
+}
+
+// Longer price history fetched for replaying past rankings: enough to scrub back
+// `spanHours` (less the window itself) at a resolution that suits the window
+const REPLAY_HISTORY = {
+  '1h': { interval: '1w', fidelity: 5, spanHours: 24 * 7 },
+  '6h': { interval: '1w', fidelity: 15, spanHours: 24 * 7 },
+  '24h': { interval: '1w', fidelity: 15, spanHours: 24 * 7 },
+  '7d': { interval: '1m', fidelity: 60, spanHours: 24 * 30 },
+  '30d': { interval: 'max', fidelity: 720, spanHours: 24 * 90 }
+};
+
+export function getReplayOptions(key) {
+  return REPLAY_HISTORY[getMovementWindow(key).key];
+}
@@ -0,0 +1,29 @@
+// Compare the displayed movers table across refreshes.
+// A snapshot records each market's rank and price as displayed when it was taken.
+
+export function captureSnapshot(markets) {
+  const ranks = new Map();
+  const prices = new Map();
+  markets.forEach((market, index) => {
+    ranks.set(market.id, index);
+    prices.set(market.id, market.currentPrice);
+  });
+  return { ranks, prices, takenAt: Date.now() };
+}
+
+// How a displayed row changed since `snapshot`: isNew when it wasn't listed before,
+// rankDelta > 0 when it moved up, priceDelta as the signed change in current price
+export function getRowChange(snapshot, market, index) {
+  if (!snapshot) return { isNew: false, rankDelta: 0, priceDelta: 0 };
+
+  if (!snapshot.ranks.has(market.id)) {
+    return { isNew: true, rankDelta: 0, priceDelta: 0 };
+  }
+
+  const previousPrice = snapshot.prices.get(market.id);
+  return {
+    isNew: false,
+    rankDelta: snapshot.ranks.get(market.id) - index,
+    priceDelta: typeof previousPrice === 'number' ? parseFloat((market.currentPrice - previousPrice).toFixed(4)) : 0
+  };
+}
@@ -0,0 +1,101 @@
+// Large-trade ("whale") tracking: merging trade feeds and explaining moves by the size behind them.
+// Trades come from PolymarketAPI.fetchTrades and MarketStream.onTrade in the same shape:
+// { conditionId, tokenId, outcome, side, price, size, usd, timestamp, trader, source, ... }
+import { formatMovement, formatVolume } from './formatters.js';
+import { getMovementWindow } from './movementWindows.js';
+
+const MIN_USD_KEY = 'largeTradeUsd';
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_LARGE_TRADE_USD = 1000;
+
+// Trades kept in memory across polls and the live stream
+const MAX_TRADES = 1000;
+
+// Net changes smaller than this are not worth explaining
+export const MIN_EXPLAINED_MOVE = 0.02;
+
+export const MOVE_SOURCES = {
+  'with-size': { label: 'WITH SIZE' },
+  'thin-book': { label: 'THIN-BOOK DRIFT' }
+};
+
+export function loadLargeTradeUsd() {
+  const saved = parseFloat(localStorage.getItem(MIN_USD_KEY));
+  return Number.isFinite(saved) && saved > 0 ? saved : DEFAULT_LARGE_TRADE_USD;
+}
+
+export function saveLargeTradeUsd(minUsd) {
+  localStorage.setItem(MIN_USD_KEY, String(minUsd));
+}
+
+// The Data API and the market channel describe the same fill differently (seconds vs milliseconds,
+// with and without a transaction hash), so trades are matched on what both report
+export const getTradeKey = (trade) => (
+  `${trade.tokenId}:${trade.side}:${trade.price}:${trade.size}:${Math.floor(Date.parse(trade.timestamp) / 1000)}`
+);
+
+// Merge new trades into a newest-first list, keeping the richer API record when both sources have a fill
+export function mergeTrades(existing, incoming, max = MAX_TRADES) {
+  const byKey = new Map(existing.map(trade => [getTradeKey(trade), trade]));
+  for (const trade of incoming) {
+    const key = getTradeKey(trade);
+    const previous = byKey.get(key);
+    if (!previous || (previous.source === 'live' && trade.source === 'api')) {
+      byKey.set(key, trade);
+    }
+  }
+
+  return [...byKey.values()]
+    .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+    .slice(0, max);
+}
+
+// +1 when the trade pushes the market's primary outcome up (buying it or selling another outcome), -1 otherwise
+export function getTradeDirection(trade, market) {
+  const isPrimary = trade.tokenId === market.primaryTokenId;
+  return isPrimary === (trade.side === 'BUY') ? 1 : -1;
+}
+
+// Whether the window's net change came with large trades pushing the same way ('with-size')
+// or without any ('thin-book'). `coveredSince` is the market's entry in fetchTrades' coverage:
+// undefined when its trades were never loaded, and a timestamp when older trades were cut off,
+// in which case a move without large trades in the loaded part is left unexplained.
+export function getMoveSource(market, trades, { minUsd, coveredSince, now = Date.now() }) {
+  if (coveredSince === undefined || !market.hasPriceData || Math.abs(market.netChange) < MIN_EXPLAINED_MOVE) {
+    return null;
+  }
+
+  const windowStart = now - getMovementWindow(market.window).hours * HOUR_MS;
+  const direction = Math.sign(market.netChange);
+  let count = 0;
+  let withMoveUsd = 0;
+  let againstMoveUsd = 0;
+
+  for (const trade of trades) {
+    if (trade.usd < minUsd || Date.parse(trade.timestamp) < windowStart) continue;
+    if (getTradeDirection(trade, market) === direction) {
+      count += 1;
+      withMoveUsd += trade.usd;
+    } else {
+      againstMoveUsd += trade.usd;
+    }
+  }
+
+  if (count > 0) {
+    return { type: 'with-size', count, withMoveUsd, againstMoveUsd };
+  }
+  if (coveredSince && Date.parse(coveredSince) > windowStart) {
+    return null;
+  }
+  return { type: 'thin-book', count: 0, withMoveUsd: 0, againstMoveUsd };
+}
+
+export function describeMoveSource(moveSource, minUsd) {
+  if (moveSource.type === 'with-size') {
+    const trades = moveSource.count === 1 ? '1 large trade' : `${moveSource.count} large trades`;
+    const against = moveSource.againstMoveUsd > 0 ? ` (${formatVolume(moveSource.againstMoveUsd)} the other way)` : '';
+    return `${formatVolume(moveSource.withMoveUsd)} in ${trades} pushed the price this way${against}`;
+  }
+  return `No trade of ${formatVolume(minUsd)}+ pushed the price this way; a move of ${formatMovement(MIN_EXPLAINED_MOVE)} or more without size usually means small fills or quotes drifting on a thin book`;
+}
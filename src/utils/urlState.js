@@ -0,0 +1,99 @@
+import { DEFAULT_FILTERS, DEFAULT_SORT_MODE, SORT_MODES, SORT_COLUMNS, normalizeFilters } from './marketAnalyzer.js';
+import { MOVEMENT_WINDOWS, DEFAULT_WINDOW } from './movementWindows.js';
+
+// Dashboard view state that is mirrored into the URL query string
+export const DEFAULT_VIEW_STATE = {
+  category: 'all',
+  searchQuery: '',
+  sortMode: DEFAULT_SORT_MODE,
+  sortDirection: null,
+  movementWindow: DEFAULT_WINDOW,
+  viewMode: 'markets',
+  selectedMarketId: null,
+  filters: DEFAULT_FILTERS
+};
+
+// Query parameter names for each numeric filter
+const FILTER_PARAMS = {
+  minimumVolume: 'minVol',
+  minimumLiquidity: 'minLiq',
+  minimumMovement: 'minMove',
+  minPrice: 'minPrice',
+  maxPrice: 'maxPrice',
+  maxDaysToResolution: 'maxDays',
+  limit: 'limit'
+};
+
+const VIEW_MODES = ['markets', 'events', 'watchlist'];
+
+const parseNumber = (value, fallback) => {
+  if (value === null || value === '') return fallback;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// Read view state from a query string, falling back to defaults for anything missing or invalid
+export function parseViewState(search) {
+  const params = new URLSearchParams(search);
+  const state = { ...DEFAULT_VIEW_STATE, filters: { ...DEFAULT_FILTERS } };
+
+  if (params.get('cat')) state.category = params.get('cat');
+  if (params.get('q')) state.searchQuery = params.get('q');
+
+  const sort = params.get('sort');
+  if (sort && (SORT_MODES[sort] || SORT_COLUMNS[sort])) {
+    state.sortMode = sort;
+    const direction = params.get('dir');
+    state.sortDirection = SORT_COLUMNS[sort] && (direction === 'asc' || direction === 'desc') ? direction : null;
+  }
+
+  const movementWindow = params.get('win');
+  if (movementWindow && MOVEMENT_WINDOWS[movementWindow]) state.movementWindow = movementWindow;
+
+  const viewMode = params.get('view');
+  if (VIEW_MODES.includes(viewMode)) state.viewMode = viewMode;
+
+  if (params.get('market')) state.selectedMarketId = params.get('market');
+
+  for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+    state.filters[key] = parseNumber(params.get(param), DEFAULT_FILTERS[key]);
+  }
+
+  // `soon` is the resolving-soon window in hours, or `off` to include those markets
+  const soon = params.get('soon');
+  if (soon === 'off') {
+    state.filters.excludeResolvingSoon = false;
+  } else if (soon) {
+    state.filters.resolvingSoonHours = parseNumber(soon, DEFAULT_FILTERS.resolvingSoonHours);
+  }
+  // Out-of-range values are clamped as the filter panel would, and an inverted price band swapped
+  state.filters = normalizeFilters(state.filters);
+
+  return state;
+}
+
+// Write view state to a query string, omitting defaults so shared links stay short
+export function serializeViewState(state) {
+  const params = new URLSearchParams();
+
+  if (state.category !== DEFAULT_VIEW_STATE.category) params.set('cat', state.category);
+  if (state.searchQuery) params.set('q', state.searchQuery);
+  if (state.sortMode !== DEFAULT_VIEW_STATE.sortMode) params.set('sort', state.sortMode);
+  if (state.sortDirection && SORT_COLUMNS[state.sortMode]) params.set('dir', state.sortDirection);
+  if (state.movementWindow !== DEFAULT_VIEW_STATE.movementWindow) params.set('win', state.movementWindow);
+  if (state.viewMode !== DEFAULT_VIEW_STATE.viewMode) params.set('view', state.viewMode);
+  if (state.selectedMarketId) params.set('market', state.selectedMarketId);
+
+  for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+    if (state.filters[key] !== DEFAULT_FILTERS[key]) params.set(param, String(state.filters[key]));
+  }
+
+  if (!state.filters.excludeResolvingSoon) {
+    params.set('soon', 'off');
+  } else if (state.filters.resolvingSoonHours !== DEFAULT_FILTERS.resolvingSoonHours) {
+    params.set('soon', String(state.filters.resolvingSoonHours));
+  }
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
@@ -0,0 +1,66 @@
+// Watchlist persistence. Stored in localStorage next to the darkMode preference as
+// an array of { id, question, addedAt } where `id` is the market's condition id.
+const STORAGE_KEY = 'watchlist';
+
+const normalizeEntry = (entry) => {
+  if (typeof entry === 'string') {
+    return { id: entry, question: '', addedAt: new Date().toISOString() };
+  }
+  if (entry && typeof entry.id === 'string' && entry.id) {
+    return {
+      id: entry.id,
+      question: typeof entry.question === 'string' ? entry.question : '',
+      addedAt: entry.addedAt || new Date().toISOString()
+    };
+  }
+  return null;
+};
+
+export function loadWatchlist() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.map(normalizeEntry).filter(Boolean) : [];
+  } catch (error) {
+    console.warn('⚠️ Ignoring unreadable watchlist:', error.message);
+    return [];
+  }
+}
+
+export function saveWatchlist(watchlist) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(watchlist));
+}
+
+export function createWatchlistEntry(market) {
+  return { id: market.id, question: market.question, addedAt: new Date().toISOString() };
+}
+
+// Shareable export format
+export function exportWatchlist(watchlist) {
+  return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), markets: watchlist }, null, 2);
+}
+
+// Parse an exported watchlist (or a bare array of ids/entries) and merge it into `current`.
+// Throws when the text is not a recognizable watchlist.
+export function importWatchlist(text, current = []) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Watchlist file is not valid JSON');
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed?.markets;
+  if (!Array.isArray(entries)) {
+    throw new Error('Watchlist file has no markets list');
+  }
+
+  const merged = [...current];
+  const seen = new Set(current.map(entry => entry.id));
+  for (const entry of entries.map(normalizeEntry).filter(Boolean)) {
+    if (!seen.has(entry.id)) {
+      seen.add(entry.id);
+      merged.push(entry);
+    }
+  }
+  return merged;
+}
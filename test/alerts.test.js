@@ -0,0 +1,81 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ALERT_COOLDOWN_MS,
+  createAlertRule,
+  evaluateAlertRules,
+  recordObservations,
+  recordAlertCooldowns,
+  loadAlertCooldowns,
+  saveAlertCooldowns,
+  saveAlertLog
+} from '../src/utils/alerts.js';
+
+// The alert store reads and writes localStorage, which Node doesn't have
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+});
+
+const market = (currentPrice) => ({ id: 'm1', question: 'Will it rain?', categories: ['weather'], currentPrice, window: '24h' });
+
+// Record two prices a minute apart and evaluate, as the Dashboard does on each refresh
+const evaluateMove = (rule, cooldowns, now) => {
+  let observations = recordObservations(new Map(), [market(0.4)], now - 60 * 1000);
+  observations = recordObservations(observations, [market(0.6)], now);
+  return evaluateAlertRules([rule], [market(0.6)], observations, cooldowns, now);
+};
+
+test('a rule stays in cooldown after the log is cleared', () => {
+  const rule = createAlertRule({ category: 'weather', type: 'moves', threshold: 0.1, windowHours: 1 });
+  const now = Date.now();
+
+  const first = evaluateMove(rule, new Map(), now);
+  assert.equal(first.length, 1);
+  saveAlertLog(first);
+  saveAlertCooldowns(recordAlertCooldowns(new Map(), first, now));
+
+  saveAlertLog([]);
+  assert.equal(evaluateMove(rule, loadAlertCooldowns(), now + 60 * 1000).length, 0);
+  assert.equal(evaluateMove(rule, loadAlertCooldowns(), now + ALERT_COOLDOWN_MS).length, 1);
+});
+
+test('recordAlertCooldowns drops cooldowns that have run out', () => {
+  const now = Date.now();
+  const cooldowns = new Map([['old:m1', now - ALERT_COOLDOWN_MS - 1], ['recent:m1', now - 1000]]);
+
+  const next = recordAlertCooldowns(cooldowns, [{ ruleId: 'new', marketId: 'm1', firedAt: new Date(now).toISOString() }], now);
+
+  assert.deepEqual([...next.keys()].sort(), ['new:m1', 'recent:m1']);
+});
+
+test('cooldowns are seeded once from a log saved before they were stored separately', () => {
+  const now = Date.now();
+  saveAlertLog([
+    { ruleId: 'r1', marketId: 'm1', firedAt: new Date(now - 1000).toISOString() },
+    { ruleId: 'r1', marketId: 'm1', firedAt: new Date(now - 5000).toISOString() }
+  ]);
+
+  assert.deepEqual([...loadAlertCooldowns()], [['r1:m1', now - 1000]]);
+
+  saveAlertCooldowns(new Map());
+  assert.equal(loadAlertCooldowns().size, 0);
+});
+
+test('a crossing fires only on the refresh that crosses', () => {
+  const rule = createAlertRule({ market: market(0.5), type: 'crosses', threshold: 0.6 });
+  const now = Date.now();
+  let observations = recordObservations(new Map(), [market(0.55)], now - 1000);
+  observations = recordObservations(observations, [market(0.62)], now);
+
+  const alerts = evaluateAlertRules([rule], [market(0.62)], observations, new Map(), now);
+  assert.equal(alerts.length, 1);
+  assert.match(alerts[0].message, /^Rose through/);
+
+  const later = recordObservations(observations, [market(0.62)], now + 1000);
+  assert.equal(evaluateAlertRules([rule], [market(0.62)], later, new Map(), now + 1000).length, 0);
+});
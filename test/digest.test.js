@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { parseSnapshot } from '../src/services/marketSnapshot.js';
+import { buildDigest, renderDigest } from '../src/utils/digest.js';
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+const loadSnapshot = async () => parseSnapshot(await readFile(fixture('snapshot.json'), 'utf8'));
+
+// Expected output lives in test/fixtures; after an intended change to the report, regenerate it with
+//   npm run digest -- --snapshot test/fixtures/snapshot.json --out test/fixtures/digest.md (and digest.html)
+test('renders the fixture snapshot as Markdown', async () => {
+  const snapshot = await loadSnapshot();
+
+  assert.equal(renderDigest(snapshot, 'markdown'), await readFile(fixture('digest.md'), 'utf8'));
+});
+
+test('renders the fixture snapshot as HTML', async () => {
+  const snapshot = await loadSnapshot();
+
+  assert.equal(renderDigest(snapshot, 'html'), await readFile(fixture('digest.html'), 'utf8'));
+});
+
+test('ranks sections from the snapshot alone', async () => {
+  const digest = buildDigest(await loadSnapshot());
+
+  assert.equal(digest.moverCount, 3);
+  assert.deepEqual(digest.categories.map(({ category }) => category), ['crypto', 'finance', 'politics', 'technology']);
+  assert.deepEqual(digest.gainers.map(market => market.id), ['0xbtc', '0xhtml']);
+  assert.deepEqual(digest.losers.map(market => market.id), ['0xfed']);
+  assert.deepEqual(digest.newMarkets.map(market => market.id), ['0xhtml']);
+  assert.deepEqual(digest.resolved.map(market => market.id), ['0xgame', '0xpending']);
+});
+
+test('escapes market text in both formats', async () => {
+  const snapshot = await loadSnapshot();
+  const markdown = renderDigest(snapshot, 'markdown');
+  const html = renderDigest(snapshot, 'html');
+
+  assert.ok(markdown.includes('Will &lt;b&gt;Acme&lt;/b&gt; \\| Co launch \\[beta\\] &amp; ship?'));
+  assert.ok(html.includes('Will &lt;b&gt;Acme&lt;/b&gt; | Co launch [beta] &amp; ship?'));
+  assert.ok(!markdown.includes('<b>') && !html.includes('<b>'));
+});
+
+test('the CLI renders offline from a snapshot file', async () => {
+  const run = promisify(execFile);
+  const cli = fileURLToPath(new URL('../bin/digest.js', import.meta.url));
+  const { stdout } = await run(process.execPath, [cli, '--snapshot', fixture('snapshot.json'), '--format', 'html']);
+
+  assert.equal(stdout, await readFile(fixture('digest.html'), 'utf8'));
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarketAnalyzer, groupMarketsByEvent } from '../src/utils/marketAnalyzer.js';
+
+const BOILERPLATE = 'This market will resolve to "Yes" if the stock market closes higher. Otherwise, this market will resolve to "No".';
+
+test('categorizeMarket ignores description boilerplate', () => {
+  const analyzer = new MarketAnalyzer();
+  const market = { question: 'Will the Lakers win the NBA Finals?', description: BOILERPLATE, tags: [{ label: 'NBA' }] };
+
+  assert.deepEqual(analyzer.categorizeMarket(market), ['sports']);
+});
+
+test('categorizeMarket falls back to the first tag when no keyword matches', () => {
+  const analyzer = new MarketAnalyzer();
+  const market = { question: 'Will Trump say "tariff" this week?', description: BOILERPLATE, tags: [{ label: 'Trump' }, { label: 'All' }] };
+
+  assert.deepEqual(analyzer.categorizeMarket(market), ['trump']);
+});
+
+test('categorizeMarket lists tag categories before question keyword hits', () => {
+  const analyzer = new MarketAnalyzer();
+  const market = { question: 'Will the Bitcoin ETF launch this year?', tags: [{ label: 'Finance' }] };
+
+  assert.deepEqual(analyzer.categorizeMarket(market), ['finance', 'crypto']);
+});
+
+test('categorizeMarket puts untagged, unmatched markets in other', () => {
+  const analyzer = new MarketAnalyzer();
+
+  assert.deepEqual(analyzer.categorizeMarket({ question: 'Will it happen?', description: BOILERPLATE }), ['other']);
+});
+
+const outcome = (eventId, question, netChange, extra = {}) => ({
+  id: question,
+  eventId,
+  eventTitle: `Event ${eventId}`,
+  question,
+  netChange,
+  absNetChange: Math.abs(netChange),
+  movement: Math.abs(netChange),
+  currentPrice: 0.5,
+  volume: 100,
+  hasPriceData: true,
+  ...extra
+});
+
+test('groupMarketsByEvent picks the biggest mover by net change whatever the sort', () => {
+  const markets = [
+    outcome('a', 'Alpha', 0.01, { volume: 5000 }),
+    outcome('a', 'Beta', -0.2, { volume: 10 }),
+    outcome('a', 'Gamma', 0.05)
+  ];
+
+  for (const sortBy of ['range', 'question', 'volume']) {
+    const [group] = groupMarketsByEvent(markets, sortBy);
+    assert.equal(group.biggestMover.question, 'Beta', sortBy);
+  }
+  assert.deepEqual(groupMarketsByEvent(markets, 'question')[0].markets.map(market => market.question), ['Alpha', 'Beta', 'Gamma']);
+});
+
+test('groupMarketsByEvent orders groups by title and total volume for those columns', () => {
+  const markets = [
+    outcome('b', 'Small', 0.3, { eventTitle: 'Zebra', volume: 10 }),
+    outcome('c', 'Large', 0.01, { eventTitle: 'Apple', volume: 900 }),
+    outcome('b', 'Other', 0.01, { eventTitle: 'Zebra', volume: 10 })
+  ];
+  const order = (sortBy, direction) => groupMarketsByEvent(markets, sortBy, direction).map(group => group.title);
+
+  assert.deepEqual(order('range'), ['Zebra', 'Apple']);
+  assert.deepEqual(order('question'), ['Apple', 'Zebra']);
+  assert.deepEqual(order('question', 'desc'), ['Zebra', 'Apple']);
+  assert.deepEqual(order('volume'), ['Apple', 'Zebra']);
+});
+
+test('groupMarketsByEvent totals every loaded outcome of the event', () => {
+  const shown = [outcome('d', 'Yes A', 0.1, { currentPrice: 0.6, eventNegRisk: true })];
+  const all = [...shown, outcome('d', 'Yes B', 0, { currentPrice: 0.42, eventNegRisk: true })];
+  const [group] = groupMarketsByEvent(shown, 'range', undefined, all);
+
+  assert.equal(group.totalProbability, 1.02);
+  assert.equal(group.overround, 0.02);
+});
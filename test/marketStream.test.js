@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket, { WebSocketServer } from 'ws';
+import { MarketStream } from '../src/services/marketStream.js';
+
+// Local stand-in for the CLOB market channel, recording what each client sends
+const startMockServer = (port = 0) => new Promise(resolve => {
+  const server = new WebSocketServer({ port, host: '127.0.0.1' });
+  const mock = { server, connections: [], messages: [] };
+  server.on('connection', socket => {
+    mock.connections.push(socket);
+    socket.on('message', data => mock.messages.push(data.toString() === 'PING' ? 'PING' : JSON.parse(data.toString())));
+  });
+  server.on('listening', () => {
+    mock.url = `ws://127.0.0.1:${server.address().port}`;
+    mock.port = server.address().port;
+    resolve(mock);
+  });
+});
+
+const stopMockServer = (mock) => new Promise(resolve => {
+  mock.connections.forEach(socket => socket.terminate());
+  mock.server.close(() => resolve());
+});
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const createStream = (t, url, options = {}) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const stream = new MarketStream({ url, WebSocketImpl: WebSocket, minBackoff: 20, maxBackoff: 200, ...options });
+  t.after(() => stream.disconnect());
+  return stream;
+};
+
+test('subscribes on connect and syncs the difference when the assets change', async (t) => {
+  const mock = await startMockServer();
+  t.after(() => stopMockServer(mock));
+  const stream = createStream(t, mock.url);
+
+  stream.setAssets(['a', 'b']);
+  await waitFor(() => stream.status === 'open' && mock.messages.length === 1);
+  assert.deepEqual(mock.messages[0], { type: 'market', assets_ids: ['a', 'b'] });
+
+  stream.setAssets(['b', 'c']);
+  await waitFor(() => mock.messages.length === 3);
+  assert.deepEqual(mock.messages.slice(1), [
+    { assets_ids: ['c'], operation: 'subscribe' },
+    { assets_ids: ['a'], operation: 'unsubscribe' }
+  ]);
+  assert.equal(mock.connections.length, 1);
+});
+
+test('pushes price updates for subscribed tokens only', async (t) => {
+  const mock = await startMockServer();
+  t.after(() => stopMockServer(mock));
+  const stream = createStream(t, mock.url);
+  const updates = [];
+  stream.subscribe(update => updates.push(update));
+
+  stream.setAssets(['a']);
+  await waitFor(() => mock.messages.length === 1);
+  mock.connections[0].send(JSON.stringify([
+    { event_type: 'book', asset_id: 'a', bids: [{ price: '0.40' }, { price: '0.42' }], asks: [{ price: '0.46' }], timestamp: '1700000000000' },
+    { event_type: 'last_trade_price', asset_id: 'x', price: '0.9', size: '10', side: 'BUY' }
+  ]));
+  await waitFor(() => updates.length === 1);
+
+  assert.equal(updates[0].tokenId, 'a');
+  assert.equal(updates[0].price, 0.44);
+  assert.equal(updates[0].timestamp, new Date(1700000000000).toISOString());
+});
+
+test('reconnects with growing backoff and resubscribes everything', async (t) => {
+  const mock = await startMockServer();
+  const stream = createStream(t, mock.url);
+
+  stream.setAssets(['a', 'b']);
+  await waitFor(() => mock.messages.length === 1);
+
+  // With the server gone every attempt fails and the delay doubles up to maxBackoff
+  const { port } = mock;
+  await stopMockServer(mock);
+  await waitFor(() => stream.attempt >= 4);
+  assert.equal(stream.status, 'reconnecting');
+  const delays = console.log.mock.calls
+    .map(call => String(call.arguments[0]).match(/reconnecting in (\d+)ms \(attempt (\d+)\)/))
+    .filter(Boolean)
+    .map(([, delay, attempt]) => ({ delay: Number(delay), attempt: Number(attempt) }));
+  for (const { delay, attempt } of delays) {
+    // Jittered between half and all of min(maxBackoff, minBackoff * 2^(attempt - 1))
+    const ceiling = Math.min(200, 20 * 2 ** (attempt - 1));
+    assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt} waited ${delay}ms`);
+  }
+
+  const restarted = await startMockServer(port);
+  t.after(() => stopMockServer(restarted));
+  await waitFor(() => restarted.messages.length === 1, 3000);
+
+  assert.equal(stream.attempt, 0);
+  assert.deepEqual(restarted.messages[0], { type: 'market', assets_ids: ['a', 'b'] });
+});
+
+test('a pending reconnect picks up assets set while waiting', async (t) => {
+  const mock = await startMockServer();
+  t.after(() => stopMockServer(mock));
+  const stream = createStream(t, mock.url, { minBackoff: 200, maxBackoff: 200 });
+
+  stream.setAssets(['a']);
+  await waitFor(() => mock.messages.length === 1);
+  mock.connections[0].terminate();
+  await waitFor(() => stream.status === 'reconnecting');
+
+  stream.setAssets(['a', 'b']);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(stream.socket, null, 'setAssets must not connect before the backoff timer');
+  assert.equal(mock.connections.length, 1);
+
+  await waitFor(() => mock.messages.length === 2);
+  assert.equal(mock.connections.length, 2);
+  assert.deepEqual(mock.messages.at(-1), { type: 'market', assets_ids: ['a', 'b'] });
+});
+
+test('disconnects when no assets are left', async (t) => {
+  const mock = await startMockServer();
+  t.after(() => stopMockServer(mock));
+  const stream = createStream(t, mock.url);
+
+  stream.setAssets(['a']);
+  await waitFor(() => stream.status === 'open');
+  stream.setAssets([]);
+
+  assert.equal(stream.status, 'closed');
+  await waitFor(() => mock.connections[0].readyState === WebSocket.CLOSED);
+});
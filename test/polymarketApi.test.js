@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolymarketAPI } from '../src/services/polymarketApi.js';
+
+const event = (id, conditionIds) => ({
+  id,
+  title: `Event ${id}`,
+  slug: `event-${id}`,
+  markets: conditionIds.map(conditionId => ({ conditionId, question: `Market ${conditionId}` }))
+});
+
+// API whose Gamma events come from `events`, recording each page request
+const createApi = (t, events) => {
+  t.mock.method(console, 'log', () => {});
+  const api = new PolymarketAPI();
+  const requests = [];
+  api.fetchEventsPage = async ({ limit, offset }) => {
+    requests.push({ limit, offset });
+    return events.slice(offset, offset + limit);
+  };
+  return { api, requests };
+};
+
+test('fetchMarkets walks pages until the API runs dry, de-duplicating by condition id', async (t) => {
+  const { api, requests } = createApi(t, [event(1, ['a', 'b']), event(2, ['b']), event(3, ['c']), event(4, ['d'])]);
+  const pages = [];
+
+  const markets = await api.fetchMarkets({ pageSize: 2, onPage: page => pages.push(page) });
+
+  assert.deepEqual(requests, [{ limit: 2, offset: 0 }, { limit: 2, offset: 2 }, { limit: 2, offset: 4 }]);
+  assert.deepEqual(markets.map(market => market.condition_id).sort(), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(pages.map(page => page.newMarkets.length), [2, 2, 0]);
+  assert.deepEqual(pages.at(-1).progress, { page: 3, events: 4, markets: 4, maxEvents: 1000, done: true });
+});
+
+test('fetchMarkets stops at maxEvents', async (t) => {
+  const { api, requests } = createApi(t, [event(1, ['a']), event(2, ['b']), event(3, ['c'])]);
+
+  const markets = await api.fetchMarkets({ pageSize: 2, maxEvents: 3 });
+
+  assert.deepEqual(requests, [{ limit: 2, offset: 0 }, { limit: 1, offset: 2 }]);
+  assert.equal(markets.length, 3);
+});
+
+test('fetchMarkets keeps earlier pages when a later one fails', async (t) => {
+  const { api } = createApi(t, [event(1, ['a']), event(2, ['b'])]);
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const fetchPage = api.fetchEventsPage;
+  api.fetchEventsPage = async (options) => {
+    if (options.offset > 0) throw new Error('socket hang up');
+    return fetchPage(options);
+  };
+
+  const markets = await api.fetchMarkets({ pageSize: 1 });
+
+  assert.deepEqual(markets.map(market => market.condition_id), ['a']);
+});
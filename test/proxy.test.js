@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProxyServer } from '../server/proxy.js';
+
+// Proxy on a free port with a stubbed upstream that counts its calls
+const startProxy = async (t, options = {}) => {
+  const upstream = { calls: 0 };
+  const fetchImpl = async () => {
+    upstream.calls += 1;
+    return new Response(JSON.stringify({ ok: true }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  const server = createProxyServer({ fetchImpl, ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = (path, headers = {}) => fetch(`${base}${path}`, { headers });
+  return { base, get, upstream };
+};
+
+test('browsers on other origins are refused unless listed', async (t) => {
+  const { get } = await startProxy(t);
+
+  const foreign = await get('/api/clob/book?token_id=1', { Origin: 'https://evil.example' });
+  assert.equal(foreign.status, 403);
+
+  const noOrigin = await get('/api/clob/book?token_id=1');
+  assert.equal(noOrigin.status, 200);
+  assert.equal(noOrigin.headers.get('access-control-allow-origin'), null);
+});
+
+test('same-origin pages and listed origins are allowed', async (t) => {
+  const { base, get } = await startProxy(t, { allowedOrigins: ['https://app.example'] });
+
+  const same = await get('/api/clob/book?token_id=1', { Origin: base });
+  assert.equal(same.status, 200);
+  assert.equal(same.headers.get('access-control-allow-origin'), base);
+
+  const listed = await get('/api/clob/book?token_id=1', { Origin: 'https://app.example' });
+  assert.equal(listed.status, 200);
+  assert.equal(listed.headers.get('access-control-allow-origin'), 'https://app.example');
+
+  assert.equal((await get('/api/clob/book?token_id=1', { Origin: 'https://other.example' })).status, 403);
+});
+
+test('the cache keeps only the newest maxCacheEntries responses', async (t) => {
+  const { get, upstream } = await startProxy(t, { maxCacheEntries: 2 });
+
+  for (const id of [1, 2, 3]) await get(`/api/clob/book?token_id=${id}`);
+  assert.equal((await get('/api/clob/book?token_id=3')).headers.get('x-cache'), 'HIT');
+  assert.equal((await get('/api/clob/book?token_id=1')).headers.get('x-cache'), 'MISS');
+  assert.equal(upstream.calls, 4);
+});
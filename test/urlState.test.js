@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseViewState, serializeViewState } from '../src/utils/urlState.js';
+import { DEFAULT_FILTERS, FILTER_BOUNDS, normalizeFilters } from '../src/utils/marketAnalyzer.js';
+
+test('filters from the URL are clamped to the filter panel bounds', () => {
+  const { filters } = parseViewState('?limit=0&soon=0&minVol=-5&minMove=2&maxDays=9999');
+
+  assert.equal(filters.limit, FILTER_BOUNDS.limit.min);
+  assert.equal(filters.resolvingSoonHours, FILTER_BOUNDS.resolvingSoonHours.min);
+  assert.equal(filters.minimumVolume, 0);
+  assert.equal(filters.minimumMovement, FILTER_BOUNDS.minimumMovement.max);
+  assert.equal(filters.maxDaysToResolution, FILTER_BOUNDS.maxDaysToResolution.max);
+});
+
+test('non-numeric filters from the URL fall back to the defaults', () => {
+  const { filters } = parseViewState('?limit=abc&minLiq=');
+
+  assert.equal(filters.limit, DEFAULT_FILTERS.limit);
+  assert.equal(filters.minimumLiquidity, DEFAULT_FILTERS.minimumLiquidity);
+});
+
+test('an inverted price band from the URL is swapped', () => {
+  const { filters } = parseViewState('?minPrice=0.9&maxPrice=0.2');
+
+  assert.equal(filters.minPrice, 0.2);
+  assert.equal(filters.maxPrice, 0.9);
+});
+
+test('valid filters survive a round trip through the URL', () => {
+  const filters = { ...DEFAULT_FILTERS, minimumVolume: 500, minPrice: 0.05, maxPrice: 0.95, resolvingSoonHours: 6, limit: 250 };
+  const search = serializeViewState({ ...parseViewState(''), filters });
+
+  assert.deepEqual(parseViewState(search).filters, filters);
+});
+
+test('normalizeFilters leaves in-range filters alone', () => {
+  assert.deepEqual(normalizeFilters(DEFAULT_FILTERS), DEFAULT_FILTERS);
+});